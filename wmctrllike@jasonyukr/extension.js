@@ -2,7 +2,9 @@
 'use strict';
 
 const { Gio, Meta, Shell, Clutter, GLib } = imports.gi;
+const ByteArray = imports.byteArray;
 const ExtensionUtils = imports.misc.extensionUtils;
+const Main = imports.ui.main;
 const Me = ExtensionUtils.getCurrentExtension();
 
 const IFACE_XML = `
@@ -11,6 +13,17 @@ const IFACE_XML = `
     <method name="ListWindows">
       <arg type="s" name="text" direction="out"/>
     </method>
+    <method name="ListWindowsEx">
+      <arg type="aa{sv}" name="windows" direction="out"/>
+    </method>
+    <method name="ListWindowsOrdered">
+      <arg type="s" name="order" direction="in"/>
+      <arg type="aa{sv}" name="windows" direction="out"/>
+    </method>
+    <method name="FindWindows">
+      <arg type="s" name="selector" direction="in"/>
+      <arg type="as" name="ids" direction="out"/>
+    </method>
     <method name="ActivateById">
       <arg type="s" name="id" direction="in"/>
       <arg type="b" name="ok" direction="out"/>
@@ -18,6 +31,13 @@ const IFACE_XML = `
     <method name="GetActiveWorkspace">
       <arg type="s" name="index" direction="out"/>
     </method>
+    <method name="GetWindowInfo">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="a{sv}" name="info" direction="out"/>
+    </method>
+    <method name="GetStats">
+      <arg type="a{sv}" name="stats" direction="out"/>
+    </method>
     <method name="GetActiveWindow">
       <arg type="s" name="id" direction="out"/>
     </method>
@@ -39,12 +59,55 @@ const IFACE_XML = `
     <method name="FocusPrevAnyAppWindow">
       <arg type="b" name="ok" direction="out"/>
     </method>
+    <method name="FocusPrevious">
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="FocusHistory">
+      <arg type="i" name="n" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="ListUrgentWindows">
+      <arg type="aa{sv}" name="windows" direction="out"/>
+    </method>
+    <method name="FocusUrgent">
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="FocusDirection">
+      <arg type="s" name="direction" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="SwapDirection">
+      <arg type="s" name="direction" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="FocusCycle">
+      <arg type="s" name="mode" direction="in"/>
+      <arg type="i" name="direction" direction="in"/>
+      <arg type="a{sv}" name="options" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
     <method name="ResizeById">
       <arg type="s" name="id" direction="in"/>
       <arg type="i" name="width" direction="in"/>
       <arg type="i" name="height" direction="in"/>
       <arg type="b" name="ok" direction="out"/>
     </method>
+    <method name="MoveResizeById">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="i" name="gravity" direction="in"/>
+      <arg type="i" name="x" direction="in"/>
+      <arg type="i" name="y" direction="in"/>
+      <arg type="i" name="width" direction="in"/>
+      <arg type="i" name="height" direction="in"/>
+      <arg type="b" name="client" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="SetWindowState">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="s" name="action" direction="in"/>
+      <arg type="as" name="props" direction="in"/>
+      <arg type="i" name="code" direction="out"/>
+    </method>
     <method name="MoveToWorkspaceById">
       <arg type="s" name="id" direction="in"/>
       <arg type="i" name="index" direction="in"/>
@@ -54,80 +117,354 @@ const IFACE_XML = `
       <arg type="i" name="index" direction="in"/>
       <arg type="b" name="ok" direction="out"/>
     </method>
+    <method name="ListWorkspaces">
+      <arg type="aa{sv}" name="workspaces" direction="out"/>
+    </method>
+    <method name="AppendWorkspace">
+      <arg type="i" name="index" direction="out"/>
+    </method>
+    <method name="InsertWorkspace">
+      <arg type="i" name="index" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="RemoveWorkspace">
+      <arg type="i" name="index" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="RenameWorkspace">
+      <arg type="i" name="index" direction="in"/>
+      <arg type="s" name="name" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="ReorderWorkspace">
+      <arg type="i" name="from" direction="in"/>
+      <arg type="i" name="to" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="SetWorkspaceCount">
+      <arg type="i" name="count" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="ListMonitors">
+      <arg type="aa{sv}" name="monitors" direction="out"/>
+    </method>
+    <method name="MoveToMonitorById">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="i" name="monitor" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="PlaceById">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="s" name="preset" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="RaiseById">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="LowerById">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="RestackById">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="s" name="sibling" direction="in"/>
+      <arg type="s" name="position" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="SaveLayout">
+      <arg type="s" name="name" direction="in"/>
+      <arg type="b" name="ok" direction="out"/>
+    </method>
+    <method name="RestoreLayout">
+      <arg type="s" name="name" direction="in"/>
+      <arg type="i" name="restored" direction="out"/>
+    </method>
+    <method name="ReloadRules">
+      <arg type="i" name="count" direction="out"/>
+    </method>
+    <method name="TestRules">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="aa{sv}" name="rules" direction="out"/>
+    </method>
     <method name="FocusByCls">
       <arg type="s" name="cls" direction="in"/>
       <arg type="i" name="code" direction="out"/>
     </method>
+    <method name="RunOrRaise">
+      <arg type="s" name="cls" direction="in"/>
+      <arg type="s" name="command_line" direction="in"/>
+      <arg type="a{sv}" name="options" direction="in"/>
+      <arg type="i" name="code" direction="out"/>
+    </method>
+    <method name="CloseById">
+      <arg type="s" name="id" direction="in"/>
+      <arg type="b" name="force" direction="in"/>
+      <arg type="i" name="code" direction="out"/>
+    </method>
+    <method name="CloseByCls">
+      <arg type="s" name="cls" direction="in"/>
+      <arg type="b" name="force" direction="in"/>
+      <arg type="i" name="code" direction="out"/>
+    </method>
+    <method name="Launch">
+      <arg type="s" name="target" direction="in"/>
+      <arg type="a{sv}" name="options" direction="in"/>
+      <arg type="s" name="id" direction="out"/>
+    </method>
     <method name="LaunchHere">
       <arg type="s" name="command_line" direction="in"/>
       <arg type="s" name="appId" direction="in"/>
       <arg type="b" name="ok" direction="out"/>
     </method>
+    <method name="Execute">
+      <arg type="aa{sv}" name="ops" direction="in"/>
+      <arg type="a{sv}" name="options" direction="in"/>
+      <arg type="aa{sv}" name="results" direction="out"/>
+    </method>
+    <signal name="WindowCreated">
+      <arg type="s" name="id"/>
+    </signal>
+    <signal name="WindowClosed">
+      <arg type="s" name="id"/>
+    </signal>
+    <signal name="FocusChanged">
+      <arg type="s" name="id"/>
+    </signal>
+    <signal name="TitleChanged">
+      <arg type="s" name="id"/>
+      <arg type="s" name="title"/>
+    </signal>
+    <signal name="WindowMovedToWorkspace">
+      <arg type="s" name="id"/>
+      <arg type="i" name="index"/>
+    </signal>
+    <signal name="ActiveWorkspaceChanged">
+      <arg type="i" name="index"/>
+    </signal>
   </interface>
 </node>`;
 
+// Version 2 of the interface: the same methods and signals, but failures are
+// D-Bus errors (see WMCtrlError) instead of false or numeric codes, so
+// methods that only reported success return nothing. Derived from IFACE_XML
+// by dropping the ok/code out args; V2_OUT_ARGS lists the methods whose
+// results differ otherwise.
+const V2_OUT_ARGS = {
+    GetActiveWorkspace: '<arg type="i" name="index" direction="out"/>',
+    RunOrRaise: '<arg type="i" name="action" direction="out"/>',
+};
+
+const IFACE2_XML = IFACE_XML
+    .replace('org.gnome.Shell.Extensions.WMCtrl1', 'org.gnome.Shell.Extensions.WMCtrl2')
+    .replace(/<method name="(\w+)">([\s\S]*?)\n(\s*)<\/method>/g, (method, name, args, indent) => {
+        const outArg = /\n\s*<arg type="[^"]+" name="(\w+)" direction="out"\/>/g;
+        if (name in V2_OUT_ARGS)
+            args = `${args.replace(outArg, '')}\n${indent}  ${V2_OUT_ARGS[name]}`;
+        else
+            args = args.replace(outArg, (arg, argName) => ['ok', 'code'].includes(argName) ? '' : arg);
+        return `<method name="${name}">${args}\n${indent}</method>`;
+    });
+
+// _NET_WM_STATE names (without prefix) accepted by SetWindowState; "hidden"
+// is wmctrl's name for minimized
+const WINDOW_STATES = [
+    'maximized_vert', 'maximized_horz', 'fullscreen', 'above', 'sticky',
+    'minimized', 'hidden', 'demands_attention',
+];
+
+// Valid _NET_WM_STATE names that Mutter offers no way to set
+const UNSUPPORTED_WINDOW_STATES = ['shaded', 'below', 'modal', 'skip_taskbar', 'skip_pager'];
+
+// How long a window gets to honour a close request before it counts as
+// refused (or, when forced, gets killed)
+const CLOSE_TIMEOUT_SECONDS = 5;
+
+// How long after its last step an MRU focus cycle keeps its order
+const MRU_CYCLE_RESET_MS = 1500;
+
+// Default time Launch waits for the launched application's first window
+const LAUNCH_TIMEOUT_SECONDS = 10;
+
+// Errors returned over D-Bus as org.gnome.Shell.Extensions.WMCtrl1.Error.KIND
+// (gjs turns a thrown error whose name contains a dot into that D-Bus error).
+// KIND is one of:
+//   NotFound         no window, workspace, layout, ... matches
+//   InvalidArgument  malformed or out-of-range argument
+//   Unsupported      valid request Mutter cannot carry out here
+//   Failed           the operation itself failed
+//   Timeout          Launch saw no window in time
+//   AccessDenied     the access policy in GSettings refused the call
+class WMCtrlError extends Error {
+    constructor(kind, message) {
+        super(message);
+        this.name = `org.gnome.Shell.Extensions.WMCtrl1.Error.${kind}`;
+    }
+}
+
+// Named placements as grid cells: [cols, rows, col, row, colSpan, rowSpan]
+const PLACE_PRESETS = {
+    'full': [1, 1, 0, 0, 1, 1],
+    'left-half': [2, 1, 0, 0, 1, 1],
+    'right-half': [2, 1, 1, 0, 1, 1],
+    'top-half': [1, 2, 0, 0, 1, 1],
+    'bottom-half': [1, 2, 0, 1, 1, 1],
+    'left-third': [3, 1, 0, 0, 1, 1],
+    'center-third': [3, 1, 1, 0, 1, 1],
+    'right-third': [3, 1, 2, 0, 1, 1],
+    'left-two-thirds': [3, 1, 0, 0, 2, 1],
+    'right-two-thirds': [3, 1, 1, 0, 2, 1],
+    'top-left-quarter': [2, 2, 0, 0, 1, 1],
+    'top-right-quarter': [2, 2, 1, 0, 1, 1],
+    'bottom-left-quarter': [2, 2, 0, 1, 1, 1],
+    'bottom-right-quarter': [2, 2, 1, 1, 1, 1],
+};
+
+// Operations accepted by Execute: the WMCtrl2 method each one runs and its
+// arguments as [field, type, default]; fields without a default are required
+const BATCH_OPS = {
+    'activate': ['ActivateById', [['id', 's']]],
+    'resize': ['ResizeById', [['id', 's'], ['width', 'i'], ['height', 'i']]],
+    'moveresize': ['MoveResizeById', [['id', 's'], ['gravity', 'i', 0], ['x', 'i', -1], ['y', 'i', -1],
+        ['width', 'i', -1], ['height', 'i', -1], ['client', 'b', false]]],
+    'move': ['MoveToWorkspaceById', [['id', 's'], ['ws', 'i']]],
+    'monitor': ['MoveToMonitorById', [['id', 's'], ['monitor', 'i']]],
+    'place': ['PlaceById', [['id', 's'], ['preset', 's']]],
+    'state': ['SetWindowState', [['id', 's'], ['action', 's'], ['props', 'as']]],
+    'switch': ['SwitchWorkspace', [['ws', 'i']]],
+    'raise': ['RaiseById', [['id', 's']]],
+    'lower': ['LowerById', [['id', 's']]],
+    'restack': ['RestackById', [['id', 's'], ['sibling', 's'], ['position', 's']]],
+};
+
+// Methods that only read state: the ones read-only mode still allows
+const QUERY_METHODS = [
+    'ListWindows', 'ListWindowsEx', 'ListWindowsOrdered', 'FindWindows', 'GetActiveWorkspace',
+    'GetWindowInfo', 'GetStats', 'GetActiveWindow', 'ListWorkspaces', 'ListMonitors', 'TestRules',
+    'ListUrgentWindows',
+];
+
+// Methods that can start a program and the argument naming it, checked
+// against launch-enabled and launch-allowlist. RunOrRaise counts even when it
+// ends up raising a window.
+const LAUNCH_METHODS = {
+    'LaunchHere': ([commandLine]) => commandLine,
+    'Launch': ([target]) => target,
+    'RunOrRaise': ([, commandLine]) => commandLine,
+};
+
+// GSettings keybinding keys and the methods they call
+const KEYBINDINGS = {
+    'focus-next-same-app': ext => ext._focusNextSameAppWindow(),
+    'focus-prev-same-app': ext => ext._focusPrevSameAppWindow(),
+    'focus-next-other-app': ext => ext._focusNextOtherAppWindow(),
+    'focus-prev-other-app': ext => ext._focusPrevOtherAppWindow(),
+    'focus-next-any-app': ext => ext._focusNextAnyAppWindow(),
+    'focus-prev-any-app': ext => ext._focusPrevAnyAppWindow(),
+    'focus-previous': ext => ext._focusHistory(1),
+    'focus-left': ext => ext._focusDirection('left'),
+    'focus-right': ext => ext._focusDirection('right'),
+    'focus-up': ext => ext._focusDirection('up'),
+    'focus-down': ext => ext._focusDirection('down'),
+};
+
 class WMCtrlLikeExtension {
     constructor() {
         this._nameId = 0;
         this._impl = null;
+        this._impl2 = null;
+        this._methods2 = null;
+        this._lastError = null;
+        this._globalSignals = [];
+        this._windowSignals = new Map();
+        this._wmPreferences = null;
+        this._mutterSettings = null;
+        this._settings = null;
+        this._endSessionSignalIds = [];
+        this._rules = [];
+        this._cycleExclude = { key: null, selectors: [] };
+        this._mru = [];
+        this._mruCycle = null;
+        this._urgent = [];
+        // Cancel functions of handlers and sources waiting on a window
+        this._pending = new Set();
+        // Executables of callers by unique bus name
+        this._callers = new Map();
+        this._keybindings = [];
+        this._windowsById = new Map();
+        this._windowsByXid = new Map();
+        this._index = new Map();
+        this._indexSorted = null;
+        this._indexReady = false;
+        this._stats = { hits: 0, sorts: 0, rebuilds: 0, updates: 0 };
     }
 
+    // Window ids are Mutter's stable sequence number in hex for every window,
+    // X11 or Wayland, so there is a single namespace without collisions. It is
+    // unique for the lifetime of the Shell session. The X11 window id of
+    // Xwayland clients (what wmctrl and xdotool print) is accepted as an alias
+    // by _findWindowById, and as xid= in selectors.
     _toHexId(w) {
-        // Prefer X11 window id when available (Xwayland)
-        try {
-            if (typeof w.get_xwindow === 'function') {
-                const xid = w.get_xwindow();
-                if (xid && xid !== 0)
-                    return '0x' + Number(xid).toString(16);
-            }
-        } catch (e) {
-            // ignore
-        }
+        return '0x' + Number(w.get_stable_sequence()).toString(16);
+    }
 
-        // Wayland/native: use a stable sequence number
-        let seq = 0;
+    // X11 window id as 0x..., or '' for Wayland clients
+    _xidHex(w) {
         try {
-            if (typeof w.get_stable_sequence === 'function')
-                seq = w.get_stable_sequence();
-            else if (typeof w.get_id === 'function')
-                seq = w.get_id(); // fallback if present on this version
-        } catch (e) {
-            // ignore
-        }
-
-        if (!seq || seq === 0) {
-            // Ultimate fallback: use object hash; not stable across sessions
-            try { seq = Math.abs(w.hash()); } catch (e) { seq = Date.now(); }
-        }
-
-        return '0x' + Number(seq).toString(16);
+            const xid = w.get_xwindow();
+            if (xid)
+                return '0x' + Number(xid).toString(16);
+        } catch (e) {}
+        return '';
     }
 
-    _classInstance(w) {
+    // The two halves of a window's cls and where each came from: "wm_class"
+    // (WM_CLASS on X11, the app id Wayland clients set), "shell_app" or
+    // "unknown"
+    _classParts(w) {
         let inst = null;
         let cls = null;
 
         try { if (typeof w.get_wm_class_instance === 'function') inst = w.get_wm_class_instance(); } catch (e) {}
         try { if (typeof w.get_wm_class === 'function') cls = w.get_wm_class(); } catch (e) {}
+        let instSource = inst ? 'wm_class' : 'unknown';
+        let clsSource = cls ? 'wm_class' : 'unknown';
 
         if (!inst || !cls) {
             // Wayland fallback: use Shell app id, e.g. org.gnome.Nautilus or code.desktop
-            try {
-                const tracker = Shell.WindowTracker.get_default();
-                const app = tracker.get_window_app(w);
-                if (app) {
-                    const appId = app.get_id(); // may end with .desktop
-                    if (!inst) inst = appId;
-                    if (!cls) cls = appId;
+            const appId = this._shellAppId(w); // may end with .desktop
+            if (appId) {
+                if (!inst) {
+                    inst = appId;
+                    instSource = 'shell_app';
+                }
+                if (!cls) {
+                    cls = appId;
+                    clsSource = 'shell_app';
                 }
-            } catch (e) {
-                // ignore
             }
         }
 
         if (!inst) inst = 'unknown';
         if (!cls) cls = 'unknown';
-        return String(inst).toLowerCase() + '.' + String(cls).toLowerCase();
+        return { inst: String(inst).toLowerCase(), cls: String(cls).toLowerCase(), instSource, clsSource };
+    }
+
+    _classInstance(w) {
+        const { inst, cls } = this._classParts(w);
+        return inst + '.' + cls;
+    }
+
+    _shellAppId(w) {
+        try {
+            const tracker = Shell.WindowTracker.get_default();
+            const app = tracker.get_window_app(w);
+            if (app)
+                return app.get_id() || '';
+        } catch (e) {
+            // ignore
+        }
+        return '';
     }
 
     _creationOrderKey(w) {
@@ -147,16 +484,6 @@ class WMCtrlLikeExtension {
             }
         } catch (e) {}
 
-        // Last resort: derive from our hex id (XID or sequence)
-        try {
-            const hex = this._toHexId(w);
-            if (hex && typeof hex === 'string') {
-                const s = hex.startsWith('0x') ? hex.slice(2) : hex;
-                const n = Number.parseInt(s, 16);
-                if (!Number.isNaN(n)) return n;
-            }
-        } catch (e) {}
-
         return 0;
     }
 
@@ -223,8 +550,92 @@ class WMCtrlLikeExtension {
         return true;
     }
 
-    // Collect sorted window items for internal reuse
+    // List item for one window: id, workspace, cls, title and sort key
+    _windowItem(w) {
+        const id = this._toHexId(w);
+        const desk = this._workspaceIndex(w);
+        const cls = this._classInstance(w);
+
+        let title = '';
+        try { title = w.get_title() || ''; } catch (e) {}
+
+        // Determine creation order key; later-created windows should sort later
+        const key = this._creationOrderKey(w);
+
+        return {
+            key,
+            id,
+            desk,
+            cls,
+            title,
+            win: w,
+        };
+    }
+
+    // Window index: one item per tracked window, kept current by the signals
+    // connected in _trackWindow, so reads do not walk the actors. Items are
+    // updated in place; the sorted tasklist is only rebuilt when windows come,
+    // go or change their tasklist visibility.
+    _indexWindow(w) {
+        this._index.set(w, { item: this._windowItem(w), listed: this._isTasklistWindow(w) });
+        this._indexSorted = null;
+        this._stats.updates++;
+    }
+
+    _updateIndexedWindow(w) {
+        const entry = this._index.get(w);
+        if (!entry)
+            return;
+        Object.assign(entry.item, this._windowItem(w));
+        const listed = this._isTasklistWindow(w);
+        if (listed !== entry.listed) {
+            entry.listed = listed;
+            this._indexSorted = null;
+        }
+        this._stats.updates++;
+    }
+
+    _unindexWindow(w) {
+        if (this._index.delete(w))
+            this._indexSorted = null;
+    }
+
+    // Tasklist windows in creation order. Served from the window index while
+    // it is live (between enable and disable), otherwise scanned. Callers get
+    // their own array but share the items, which they must not modify.
     _listWindowsItems() {
+        if (!this._indexReady) {
+            this._stats.rebuilds++;
+            return this._scanWindowsItems();
+        }
+        if (!this._indexSorted) {
+            this._stats.sorts++;
+            const items = [];
+            for (const entry of this._index.values()) {
+                if (entry.listed)
+                    items.push(entry.item);
+            }
+            this._indexSorted = this._sortItems(items);
+        } else {
+            this._stats.hits++;
+        }
+        return this._indexSorted.slice();
+    }
+
+    // Every tracked window, including those lists leave out (skip_taskbar,
+    // docks, ...), in creation order
+    _allWindowsItems() {
+        if (this._indexReady)
+            return this._sortItems([...this._index.values()].map(entry => entry.item));
+        const items = [];
+        for (const actor of global.get_window_actors()) {
+            if (actor.meta_window)
+                items.push(this._windowItem(actor.meta_window));
+        }
+        return this._sortItems(items);
+    }
+
+    _scanWindowsItems() {
         const items = [];
         const actors = global.get_window_actors();
 
@@ -234,26 +645,13 @@ class WMCtrlLikeExtension {
                 continue;
             if (!this._isTasklistWindow(w))
                 continue;
-
-            const id = this._toHexId(w);
-            const desk = this._workspaceIndex(w);
-            const cls = this._classInstance(w);
-
-            let title = '';
-            try { title = w.get_title() || ''; } catch (e) {}
-
-            // Determine creation order key; later-created windows should sort later
-            const key = this._creationOrderKey(w);
-
-            items.push({
-                key,
-                id,
-                desk,
-                cls,
-                title,
-            });
+            items.push(this._windowItem(w));
         }
 
+        return this._sortItems(items);
+    }
+
+    _sortItems(items) {
         // Sort by creation order ascending (earlier first, later last)
         items.sort((a, b) => {
             if (a.key !== b.key) return a.key - b.key;
@@ -283,6 +681,273 @@ class WMCtrlLikeExtension {
         try { return this._listWindows().join('\n'); } catch (e) { return ''; }
     }
 
+    _frameRect(w) {
+        try {
+            if (typeof w.get_frame_rect === 'function') {
+                const r = w.get_frame_rect();
+                if (r)
+                    return { x: r.x, y: r.y, width: r.width, height: r.height };
+            }
+        } catch (e) {}
+        return { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    _windowMonitor(w) {
+        try {
+            if (typeof w.get_monitor === 'function')
+                return w.get_monitor();
+        } catch (e) {}
+        return -1;
+    }
+
+    _clientType(w) {
+        try {
+            if (typeof w.get_client_type === 'function' && w.get_client_type() === Meta.WindowClientType.X11)
+                return 'x11';
+        } catch (e) {}
+        return 'wayland';
+    }
+
+    // Structured counterpart of a _listWindowsItems entry
+    _windowDetails(it) {
+        const w = it.win;
+        const rect = this._frameRect(w);
+
+        let pid = -1;
+        try { if (typeof w.get_pid === 'function') pid = w.get_pid(); } catch (e) {}
+
+        let fullscreen = false;
+        try { if (typeof w.is_fullscreen === 'function') fullscreen = w.is_fullscreen(); } catch (e) {}
+
+        let wmClass = '', wmClassInstance = '';
+        try { if (typeof w.get_wm_class === 'function') wmClass = w.get_wm_class() || ''; } catch (e) {}
+        try { if (typeof w.get_wm_class_instance === 'function') wmClassInstance = w.get_wm_class_instance() || ''; } catch (e) {}
+
+        return {
+            id: it.id,
+            desk: it.desk,
+            cls: it.cls,
+            title: it.title,
+            pid,
+            x: rect.x,
+            y: rect.y,
+            width: rect.width,
+            height: rect.height,
+            monitor: this._windowMonitor(w),
+            xid: this._xidHex(w),
+            minimized: !!w.minimized,
+            maximized_horz: !!w.maximized_horizontally,
+            maximized_vert: !!w.maximized_vertically,
+            fullscreen: !!fullscreen,
+            client_type: this._clientType(w),
+            app_id: this._shellAppId(w),
+            wm_class: wmClass,
+            wm_class_instance: wmClassInstance,
+            urgent: this._isUrgent(w),
+        };
+    }
+
+    // Pack a flat JS object into an a{sv} dictionary
+    _toVardict(obj) {
+        const dict = {};
+        for (const [k, v] of Object.entries(obj)) {
+            if (typeof v === 'boolean')
+                dict[k] = new GLib.Variant('b', v);
+            else if (typeof v === 'number')
+                dict[k] = Number.isInteger(v) ? new GLib.Variant('i', v) : new GLib.Variant('d', v);
+            else if (v !== null && v !== undefined)
+                dict[k] = new GLib.Variant('s', String(v));
+        }
+        return dict;
+    }
+
+    // Name of a Meta enum value in lower case (e.g. "dialog"), or its number
+    _enumName(enumType, value) {
+        const name = Object.keys(enumType).find(k => enumType[k] === value);
+        return name ? name.toLowerCase() : String(value);
+    }
+
+    // Everything about one window, xprop-style: the ListWindowsEx fields plus
+    // the raw inputs cls is derived from (see _classParts) and what decides
+    // whether lists and cycling see it. Works for windows lists leave out
+    // (skip_taskbar, dialogs, ...); empty when no window matches.
+    _getWindowInfo(id) {
+        try {
+            const w = this._findWindowById(id, { unlisted: true });
+            if (!w)
+                return {};
+            const get = (fn, fallback = '') => {
+                try {
+                    const v = w[fn]();
+                    return v === null || v === undefined ? fallback : v;
+                } catch (e) {
+                    return fallback;
+                }
+            };
+            const parts = this._classParts(w);
+            const parent = get('get_transient_for', null);
+            return this._toVardict(Object.assign(this._windowDetails(this._windowItem(w)), {
+                stable_sequence: w.get_stable_sequence(),
+                cls_instance_source: parts.instSource,
+                cls_class_source: parts.clsSource,
+                gtk_application_id: get('get_gtk_application_id'),
+                sandboxed_app_id: get('get_sandboxed_app_id'),
+                role: get('get_role'),
+                window_type: this._enumName(Meta.WindowType, get('get_window_type', -1)),
+                transient_for: parent ? this._toHexId(parent) : '',
+                skip_taskbar: !!get('is_skip_taskbar', false),
+                on_all_workspaces: !!w.on_all_workspaces,
+                above: !!get('is_above', false),
+                listed: this._isTasklistWindow(w),
+                startup_id: get('get_startup_id'),
+            }));
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Window index counters: hits (lists served as-is), sorts (tasklist
+    // re-sorted after windows came or went), rebuilds (full scans of the
+    // window actors, only while the index is not live) and updates
+    // (incremental changes from window signals)
+    _getStats() {
+        let listed = 0;
+        for (const entry of this._index.values()) {
+            if (entry.listed)
+                listed++;
+        }
+        return this._toVardict(Object.assign({
+            index_ready: this._indexReady,
+            windows: this._index.size,
+            listed,
+        }, this._stats));
+    }
+
+    _listWindowsEx() {
+        try {
+            return this._listWindowsItems().map(it => this._toVardict(this._windowDetails(it)));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Most recently focused first; never-focused windows follow in creation order
+    _sortByMru(items, mru = this._mru) {
+        const rank = new Map(mru.map((w, i) => [w, i]));
+        const pos = it => rank.has(it.win) ? rank.get(it.win) : mru.length;
+        return items
+            .map((it, i) => ({ it, i }))
+            .sort((p, q) => pos(p.it) - pos(q.it) || p.i - q.i)
+            .map(({ it }) => it);
+    }
+
+    // order: "creation" (as ListWindowsEx), "mru" or "stacking"; null for an
+    // unknown order
+    _orderedItems(order) {
+        const items = this._listWindowsItems();
+        switch (String(order || 'creation')) {
+        case 'creation':
+            return items;
+        case 'mru':
+            return this._sortByMru(items);
+        case 'stacking':
+            return this._sortByStacking(items);
+        default:
+            return null;
+        }
+    }
+
+    _listWindowsOrdered(order) {
+        try {
+            const items = this._orderedItems(order);
+            return items ? items.map(it => this._toVardict(this._windowDetails(it))) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Focus history, seeded from Mutter's tab list (already MRU) and kept up
+    // to date from notify::focus-window
+    _seedFocusHistory() {
+        try {
+            this._mru = global.display.get_tab_list(Meta.TabList.NORMAL_ALL, null);
+        } catch (e) {
+            this._mru = [];
+        }
+    }
+
+    _recordFocus() {
+        let w = null;
+        try { w = global.display.get_focus_window(); } catch (e) {}
+        if (!w)
+            return;
+        if (this._mruCycle && w !== this._mruCycle.target)
+            this._endMruCycle();
+        this._mru = [w, ...this._mru.filter(m => m !== w)];
+    }
+
+    _forgetFocus(w) {
+        this._mru = this._mru.filter(m => m !== w);
+    }
+
+    // Urgent (WM_HINTS) or demanding attention (_NET_WM_STATE_DEMANDS_ATTENTION,
+    // or a Wayland activation request that Mutter did not grant)
+    _isUrgent(w) {
+        return !!(w.urgent || w.demands_attention);
+    }
+
+    // Called from the display's window-demands-attention and
+    // window-marked-urgent signals; Mutter clears the flags itself once the
+    // window is focused
+    _markUrgent(w) {
+        this._urgent = [w, ...this._urgent.filter(u => u !== w)];
+    }
+
+    _forgetUrgent(w) {
+        this._urgent = this._urgent.filter(u => u !== w);
+    }
+
+    // Windows still urgent, most recently marked first
+    _urgentWindows() {
+        this._urgent = this._urgent.filter(w => this._isUrgent(w));
+        return this._urgent;
+    }
+
+    _listUrgentWindows() {
+        try {
+            return this._urgentWindows().map(w => this._toVardict(this._windowDetails(this._windowItem(w))));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Activate the most recently marked urgent window, switching to its workspace
+    _focusUrgent() {
+        try {
+            const [w] = this._urgentWindows();
+            return w ? this._activateWindowById(this._toHexId(w)) : false;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // n = 1 is the previously focused window (FocusPrevious), 2 the one before,
+    // and so on; n < 1 fails.
+    // Windows that are no longer listed (e.g. closed or skip-taskbar) are skipped.
+    _focusHistory(n) {
+        try {
+            const steps = Number(n) | 0;
+            if (steps < 1)
+                return false;
+            const listed = new Map(this._listWindowsItems().map(it => [it.win, it]));
+            const history = this._mru.filter(w => listed.has(w));
+            const target = history[steps];
+            return target ? this._activateWindowById(listed.get(target).id) : false;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
     _normalizeIdString(id) {
         try {
             if (typeof id !== 'string')
@@ -299,44 +964,233 @@ class WMCtrlLikeExtension {
         }
     }
 
-    _findWindowById(id) {
-        const norm = this._normalizeIdString(id);
-        if (!norm)
-            return null;
-
-        const actors = global.get_window_actors();
-        for (let actor of actors) {
-            const w = actor.meta_window;
-            if (!w)
-                continue;
-            if (!this._isTasklistWindow(w))
-                continue;
-            const wid = this._toHexId(w);
-            if (wid && String(wid).toLowerCase() === norm)
-                return w;
-        }
-        return null;
+    _isHexId(id) {
+        return typeof id === 'string' && /^\s*(0x)?[0-9a-f]+\s*$/i.test(id);
     }
 
-    _activateWindowById(id) {
-        try {
-            const w = this._findWindowById(id);
-            if (!w)
-                return false;
+    // Parse a window selector into a list of item predicates, all of which
+    // must match. Terms are separated by spaces (an optional "and"/"&&"
+    // between them is ignored):
+    //   id=0x1234                        window id
+    //   class=firefox                    cls, WM_CLASS or WM_CLASS instance
+    //   title=Inbox                      window title
+    //   app=org.gnome.Nautilus.desktop   Shell app id (".desktop" optional)
+    //   pid=1234                         process id
+    //   ws=2, ws=current                 workspace index (sticky windows match any)
+    //   active                           the focused window
+    // "=" compares case-insensitively; "~" (class, title, app) matches a
+    // substring, or a regex written as /re/flags. Values may be quoted but not
+    // empty. Throws on syntax errors.
+    _parseSelector(selector) {
+        const src = String(selector);
+        const terms = [];
+        let i = 0;
+
+        const readValue = () => {
+            const q = src[i];
+            if (q === '"' || q === "'") {
+                let v = '';
+                for (i++; i < src.length && src[i] !== q; i++) {
+                    if (src[i] === '\\' && i + 1 < src.length)
+                        i++;
+                    v += src[i];
+                }
+                if (i >= src.length)
+                    throw new Error('Unterminated quote in selector');
+                i++;
+                return v;
+            }
+            const m = /^\S*/.exec(src.slice(i));
+            i += m[0].length;
+            return m[0];
+        };
 
-            // Determine an event timestamp for activation and workspace switching
-            let timestamp = 0;
-            try {
-                if (global.display && typeof global.display.get_current_time_roundtrip === 'function')
-                    timestamp = global.display.get_current_time_roundtrip();
-                else if (Clutter && typeof Clutter.get_current_event_time === 'function')
-                    timestamp = Clutter.get_current_event_time();
-            } catch (e) {}
+        const readRegex = () => {
+            let body = '';
+            for (i++; i < src.length && src[i] !== '/'; i++) {
+                if (src[i] === '\\' && i + 1 < src.length)
+                    body += src[i++];
+                body += src[i];
+            }
+            if (i >= src.length)
+                throw new Error('Unterminated regex in selector');
+            i++;
+            const flags = /^[a-z]*/.exec(src.slice(i))[0];
+            i += flags.length;
+            // Stateless matching: drop global/sticky flags
+            return new RegExp(body, flags.replace(/[gy]/g, ''));
+        };
 
-            // If the window lives on a different workspace, switch to it first
-            try {
-                const isSticky = (typeof w.is_on_all_workspaces === 'function') && w.is_on_all_workspaces();
-                const ws = (typeof w.get_workspace === 'function') ? w.get_workspace() : null;
+        const matcher = (op, value, regex) => {
+            const v = String(value).toLowerCase();
+            if (regex)
+                return s => regex.test(s);
+            if (op === '=')
+                return s => s.toLowerCase() === v;
+            return s => s.toLowerCase().includes(v);
+        };
+
+        for (;;) {
+            while (i < src.length && /\s/.test(src[i]))
+                i++;
+            if (i >= src.length)
+                break;
+            if (src.startsWith('&&', i)) {
+                i += 2;
+                continue;
+            }
+
+            const m = /^([a-z]+)(=|~)?/i.exec(src.slice(i));
+            if (!m)
+                throw new Error(`Unexpected '${src[i]}' in selector`);
+            i += m[0].length;
+            const key = m[1].toLowerCase();
+            const op = m[2];
+
+            if (!op) {
+                if (key === 'and')
+                    continue;
+                if (key === 'active') {
+                    terms.push(it => it.id === this._activeWindowId());
+                    continue;
+                }
+                if (key === 'urgent') {
+                    terms.push(it => this._isUrgent(it.win));
+                    continue;
+                }
+                throw new Error(`Unknown selector term '${key}'`);
+            }
+
+            const regex = (op === '~' && src[i] === '/') ? readRegex() : null;
+            const value = regex ? '' : readValue();
+            // An empty substring would match every window
+            if (!regex && value === '')
+                throw new Error(`Missing value for '${key}${op}'`);
+
+            switch (key) {
+            case 'id': {
+                const norm = this._normalizeIdString(value);
+                terms.push(it => String(it.id).toLowerCase() === norm);
+                break;
+            }
+            case 'xid': {
+                const norm = this._normalizeIdString(value);
+                terms.push(it => this._xidHex(it.win) === norm);
+                break;
+            }
+            case 'class': {
+                const test = matcher(op, value, regex);
+                terms.push(it => {
+                    const names = [String(it.cls)];
+                    try { names.push(it.win.get_wm_class() || ''); } catch (e) {}
+                    try { names.push(it.win.get_wm_class_instance() || ''); } catch (e) {}
+                    return names.some(n => n !== '' && test(n));
+                });
+                break;
+            }
+            case 'title': {
+                const test = matcher(op, value, regex);
+                terms.push(it => test(String(it.title)));
+                break;
+            }
+            case 'app': {
+                const test = matcher(op, value, regex);
+                const withSuffix = op === '=' && !regex ? matcher(op, `${value}.desktop`, null) : null;
+                terms.push(it => {
+                    const appId = this._shellAppId(it.win);
+                    return appId !== '' && (test(appId) || (withSuffix !== null && withSuffix(appId)));
+                });
+                break;
+            }
+            case 'pid': {
+                const pid = Number.parseInt(value, 10);
+                if (op !== '=' || Number.isNaN(pid))
+                    throw new Error(`Invalid pid term '${value}'`);
+                terms.push(it => {
+                    try { return it.win.get_pid() === pid; } catch (e) { return false; }
+                });
+                break;
+            }
+            case 'ws': {
+                const ws = value.toLowerCase() === 'current' ? null : Number.parseInt(value, 10);
+                if (op !== '=' || Number.isNaN(ws))
+                    throw new Error(`Invalid ws term '${value}'`);
+                terms.push(it => it.desk === -1 || it.desk === (ws === null ? this._activeWorkspaceIndex() : ws));
+                break;
+            }
+            default:
+                throw new Error(`Unknown selector term '${key}'`);
+            }
+        }
+
+        if (terms.length === 0)
+            throw new Error('Empty selector');
+        return terms;
+    }
+
+    // Items matching a selector, in _listWindowsItems order. A bare hex id is
+    // accepted as a selector too.
+    _findWindows(selector, items = this._listWindowsItems()) {
+        const terms = this._isHexId(selector)
+            ? this._parseSelector(`id=${String(selector).trim()}`)
+            : this._parseSelector(selector);
+        return items.filter(it => terms.every(t => t(it)));
+    }
+
+    _findWindowIds(selector) {
+        try {
+            return this._findWindows(selector).map(it => it.id);
+        } catch (e) {
+            logError(e, `Invalid selector '${selector}'`);
+            return this._failed(e, []);
+        }
+    }
+
+    // Resolve an id or, for anything that is not a plain hex id, a selector
+    // (first match). Only listed windows are found unless unlisted is set.
+    _findWindowById(id, { unlisted = false } = {}) {
+        if (!this._isHexId(id)) {
+            try {
+                const items = unlisted ? this._allWindowsItems() : this._listWindowsItems();
+                const matches = this._findWindows(id, items);
+                return matches.length > 0 ? matches[0].win : null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const norm = this._normalizeIdString(id);
+        if (!norm)
+            return null;
+
+        // Window ids take precedence over XID aliases
+        const w = this._windowsById.get(norm) || this._windowsByXid.get(norm) || null;
+        return w && (unlisted || this._isTasklistWindow(w)) ? w : null;
+    }
+
+    _eventTimestamp() {
+        try {
+            if (global.display && typeof global.display.get_current_time_roundtrip === 'function')
+                return global.display.get_current_time_roundtrip();
+            else if (Clutter && typeof Clutter.get_current_event_time === 'function')
+                return Clutter.get_current_event_time();
+        } catch (e) {}
+        return 0;
+    }
+
+    _activateWindowById(id) {
+        try {
+            const w = this._findWindowById(id);
+            if (!w)
+                return false;
+
+            // Determine an event timestamp for activation and workspace switching
+            const timestamp = this._eventTimestamp();
+
+            // If the window lives on a different workspace, switch to it first
+            try {
+                const isSticky = (typeof w.is_on_all_workspaces === 'function') && w.is_on_all_workspaces();
+                const ws = (typeof w.get_workspace === 'function') ? w.get_workspace() : null;
 
                 if (!isSticky && ws) {
                     let activeWs = null;
@@ -383,56 +1237,157 @@ class WMCtrlLikeExtension {
                 else
                     return false;
             } catch (e) {
-                return false;
+                return this._failed(e, false);
             }
             return true;
         } catch (e) {
-            return false;
+            return this._failed(e, false);
         }
     }
 
     _resizeWindowById(id, width, height) {
+        // Sanitize dimensions; keep current position, change size
+        const ww = Number(width) | 0;
+        const hh = Number(height) | 0;
+        if (!(ww > 0 && hh > 0))
+            return false;
+        return this._moveResizeWindowById(id, 0, -1, -1, ww, hh, false);
+    }
+
+    // wmctrl -e semantics: -1 keeps the current value of a field. Gravity uses
+    // the X11 numbering (0 = default/NorthWest ... 9 = SouthEast, 10 = Static)
+    // and, like X11 win_gravity, picks the reference point that stays fixed when
+    // the size changes and x or y is kept. With client=true the rectangle
+    // describes the client area instead of the frame.
+    _moveResizeWindowById(id, gravity, x, y, width, height, client) {
         try {
             const w = this._findWindowById(id);
             if (!w)
                 return false;
 
-            // Sanitize dimensions
-            let ww = Number(width) | 0;
-            let hh = Number(height) | 0;
-            if (!(ww > 0 && hh > 0))
+            const g = Number(gravity) | 0;
+            const xx = Number(x) | 0;
+            const yy = Number(y) | 0;
+            const ww = Number(width) | 0;
+            const hh = Number(height) | 0;
+            if (g < 0 || g > 10)
+                return false;
+            if ((ww !== -1 && ww <= 0) || (hh !== -1 && hh <= 0))
                 return false;
 
-            // Keep current position, change size
-            let rect = null;
             try {
-                if (typeof w.get_frame_rect === 'function')
-                    rect = w.get_frame_rect();
+                if (typeof w.unminimize === 'function' && w.minimized)
+                    w.unminimize();
             } catch (e) {}
 
-            let x = 0, y = 0;
-            if (rect && typeof rect.x === 'number' && typeof rect.y === 'number') {
-                x = rect.x;
-                y = rect.y;
-            }
-
+            // Maximized windows ignore move/resize requests
             try {
-                if (typeof w.unminimize === 'function' && w.minimized)
-                    w.unminimize();
+                if (typeof w.get_maximized === 'function' && w.get_maximized())
+                    w.unmaximize(Meta.MaximizeFlags.BOTH);
             } catch (e) {}
 
+            let cur = null;
             try {
-                if (typeof w.move_resize_frame === 'function') {
-                    // user_op=true
-                    w.move_resize_frame(true, x, y, ww, hh);
-                    return true;
-                }
-            } catch (e) {
+                cur = w.get_frame_rect();
+                if (client)
+                    cur = w.frame_rect_to_client_rect(cur);
+            } catch (e) {}
+            if (!cur)
+                return false;
+
+            // Horizontal/vertical anchor factors per gravity: 0 = left/top, 0.5 = center, 1 = right/bottom
+            const H = [0, 0, 0.5, 1, 0, 0.5, 1, 0, 0.5, 1, 0];
+            const V = [0, 0, 0, 0, 0.5, 0.5, 0.5, 1, 1, 1, 0];
+
+            const newW = ww === -1 ? cur.width : ww;
+            const newH = hh === -1 ? cur.height : hh;
+            const newX = xx === -1 ? cur.x + Math.round((cur.width - newW) * H[g]) : xx;
+            const newY = yy === -1 ? cur.y + Math.round((cur.height - newH) * V[g]) : yy;
+
+            let target = new Meta.Rectangle({ x: newX, y: newY, width: newW, height: newH });
+            if (client)
+                target = w.client_rect_to_frame_rect(target);
+
+            if (typeof w.move_resize_frame !== 'function')
                 return false;
+            // user_op=true
+            w.move_resize_frame(true, target.x, target.y, target.width, target.height);
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Change window state like wmctrl -b: action is add, remove or toggle.
+    // Returns:
+    //   0 = success
+    //   1 = no window with that id
+    //   2 = Mutter rejected the change (or unexpected error)
+    //   3 = property not supported by Mutter (e.g. shaded)
+    //   4 = invalid action or unknown property
+    _setWindowState(id, action, props) {
+        try {
+            const act = String(action || '').trim().toLowerCase();
+            if (!['add', 'remove', 'toggle'].includes(act))
+                return 4;
+
+            const names = (Array.isArray(props) ? props : [props])
+                .map(p => String(p).trim().toLowerCase())
+                .filter(p => p !== '');
+            if (names.length === 0)
+                return 4;
+            // Validate everything before touching the window
+            for (const name of names) {
+                if (UNSUPPORTED_WINDOW_STATES.includes(name))
+                    return 3;
+                if (!WINDOW_STATES.includes(name))
+                    return 4;
             }
-            return false;
+
+            const w = this._findWindowById(id);
+            if (!w)
+                return 1;
+
+            // [is set, set, unset] per property
+            const states = {
+                maximized_vert: [
+                    () => w.maximized_vertically,
+                    () => w.maximize(Meta.MaximizeFlags.VERTICAL),
+                    () => w.unmaximize(Meta.MaximizeFlags.VERTICAL),
+                ],
+                maximized_horz: [
+                    () => w.maximized_horizontally,
+                    () => w.maximize(Meta.MaximizeFlags.HORIZONTAL),
+                    () => w.unmaximize(Meta.MaximizeFlags.HORIZONTAL),
+                ],
+                fullscreen: [() => w.is_fullscreen(), () => w.make_fullscreen(), () => w.unmake_fullscreen()],
+                above: [() => w.is_above(), () => w.make_above(), () => w.unmake_above()],
+                // Sticky windows are reported with desk -1 (see _workspaceIndex)
+                sticky: [() => w.is_on_all_workspaces(), () => w.stick(), () => w.unstick()],
+                minimized: [() => w.minimized, () => w.minimize(), () => w.unminimize()],
+                demands_attention: [
+                    () => w.demands_attention,
+                    () => w.set_demands_attention(),
+                    () => w.unset_demands_attention(),
+                ],
+            };
+            states.hidden = states.minimized;
+
+            for (const name of names) {
+                const [isSet, set, unset] = states[name];
+                try {
+                    const on = act === 'add' || (act === 'toggle' && !isSet());
+                    if (on)
+                        set();
+                    else
+                        unset();
+                } catch (e) {
+                    return this._failed(e, 2);
+                }
+            }
+            return 0;
         } catch (e) {
-            return false;
+            return this._failed(e, 2);
         }
     }
 
@@ -480,11 +1435,11 @@ class WMCtrlLikeExtension {
                     return true;
                 }
             } catch (e) {
-                return false;
+                return this._failed(e, false);
             }
             return false;
         } catch (e) {
-            return false;
+            return this._failed(e, false);
         }
     }
 
@@ -516,13 +1471,7 @@ class WMCtrlLikeExtension {
             if (!ws)
                 return false;
 
-            let timestamp = 0;
-            try {
-                if (global.display && typeof global.display.get_current_time_roundtrip === 'function')
-                    timestamp = global.display.get_current_time_roundtrip();
-                else if (Clutter && typeof Clutter.get_current_event_time === 'function')
-                    timestamp = Clutter.get_current_event_time();
-            } catch (e) {}
+            const timestamp = this._eventTimestamp();
 
             try {
                 if (typeof ws.activate === 'function') {
@@ -533,17 +1482,348 @@ class WMCtrlLikeExtension {
                     return true;
                 }
             } catch (e) {
-                return false;
+                return this._failed(e, false);
             }
             return false;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    _workspaceManager() {
+        try {
+            if (global.workspace_manager)
+                return global.workspace_manager;
+            else if (global.screen)
+                return global.screen;
+        } catch (e) {}
+        return null;
+    }
+
+    _workspaceCount() {
+        const wm = this._workspaceManager();
+        try {
+            if (wm && typeof wm.get_n_workspaces === 'function')
+                return wm.get_n_workspaces();
+        } catch (e) {}
+        return 0;
+    }
+
+    _workspaceByIndex(index) {
+        const wm = this._workspaceManager();
+        if (!wm)
+            return null;
+        const idx = Number(index) | 0;
+        if (idx < 0 || idx >= this._workspaceCount())
+            return null;
+        try {
+            return wm.get_workspace_by_index(idx);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    _wmPrefs() {
+        if (!this._wmPreferences)
+            this._wmPreferences = new Gio.Settings({ schema_id: 'org.gnome.desktop.wm.preferences' });
+        return this._wmPreferences;
+    }
+
+    _dynamicWorkspaces() {
+        try {
+            if (!this._mutterSettings)
+                this._mutterSettings = new Gio.Settings({ schema_id: 'org.gnome.mutter' });
+            return this._mutterSettings.get_boolean('dynamic-workspaces');
         } catch (e) {
             return false;
         }
     }
 
-    _focusRelativeSameAppWindow(delta) {
+    // Names live in workspace-names by position, so every structural change
+    // edits that list alongside the workspaces
+    _workspaceNames() {
+        try { return this._wmPrefs().get_strv('workspace-names'); } catch (e) { return []; }
+    }
+
+    _setWorkspaceNames(names) {
+        const trimmed = names.map(n => n || '');
+        while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '')
+            trimmed.pop();
+        this._wmPrefs().set_strv('workspace-names', trimmed);
+    }
+
+    // In static mode Mutter follows num-workspaces, so keep it in sync with
+    // changes made directly through the workspace manager
+    _syncWorkspaceCount() {
+        if (this._dynamicWorkspaces())
+            return;
+        try { this._wmPrefs().set_int('num-workspaces', this._workspaceCount()); } catch (e) {}
+    }
+
+    _listWorkspaces() {
         try {
-            const wsIdx = this._activeWorkspaceIndex();
+            const count = this._workspaceCount();
+            const active = this._activeWorkspaceIndex();
+            const names = this._workspaceNames();
+            const items = this._listWindowsItems();
+
+            let size = [0, 0];
+            try { size = global.display.get_size(); } catch (e) {}
+
+            const out = [];
+            for (let i = 0; i < count; i++) {
+                const ws = this._workspaceByIndex(i);
+                let area = { x: 0, y: 0, width: 0, height: 0 };
+                try {
+                    if (ws)
+                        area = ws.get_work_area_all_monitors();
+                } catch (e) {}
+                out.push(this._toVardict({
+                    index: i,
+                    active: i === active,
+                    name: names[i] || '',
+                    windows: items.filter(it => it.desk === i).length,
+                    desktop_width: size[0],
+                    desktop_height: size[1],
+                    workarea_x: area.x,
+                    workarea_y: area.y,
+                    workarea_width: area.width,
+                    workarea_height: area.height,
+                }));
+            }
+            return out;
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Returns the new workspace index, or -1. With dynamic workspaces the shell
+    // always keeps one empty workspace at the end and prunes extra empty ones,
+    // so that trailing workspace is returned instead of creating another.
+    _appendWorkspace() {
+        try {
+            const wm = this._workspaceManager();
+            if (!wm)
+                return -1;
+            if (this._dynamicWorkspaces())
+                return this._workspaceCount() - 1;
+
+            const ws = wm.append_new_workspace(false, this._eventTimestamp());
+            this._syncWorkspaceCount();
+            return ws ? ws.index() : -1;
+        } catch (e) {
+            return this._failed(e, -1);
+        }
+    }
+
+    // Fails with dynamic workspaces: the shell would remove the inserted
+    // workspace again right away, as it is empty and not active.
+    _insertWorkspace(index) {
+        try {
+            const wm = this._workspaceManager();
+            const idx = Number(index) | 0;
+            const count = this._workspaceCount();
+            if (!wm || idx < 0 || idx > count || this._dynamicWorkspaces())
+                return false;
+
+            const ws = wm.append_new_workspace(false, this._eventTimestamp());
+            if (!ws)
+                return false;
+            if (idx < count)
+                wm.reorder_workspace(ws, idx);
+            this._syncWorkspaceCount();
+
+            const names = this._workspaceNames();
+            if (idx < names.length) {
+                names.splice(idx, 0, '');
+                this._setWorkspaceNames(names);
+            }
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Windows on a removed workspace are moved to a neighbouring one by Mutter
+    _removeWorkspace(index) {
+        try {
+            const wm = this._workspaceManager();
+            const ws = this._workspaceByIndex(index);
+            if (!wm || !ws || this._workspaceCount() < 2)
+                return false;
+
+            const idx = ws.index();
+            wm.remove_workspace(ws, this._eventTimestamp());
+            this._syncWorkspaceCount();
+
+            const names = this._workspaceNames();
+            if (idx < names.length) {
+                names.splice(idx, 1);
+                this._setWorkspaceNames(names);
+            }
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    _renameWorkspace(index, name) {
+        try {
+            const idx = Number(index) | 0;
+            if (!this._workspaceByIndex(idx))
+                return false;
+
+            const names = this._workspaceNames();
+            while (names.length <= idx)
+                names.push('');
+            names[idx] = String(name || '');
+            this._setWorkspaceNames(names);
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    _reorderWorkspace(from, to) {
+        try {
+            const wm = this._workspaceManager();
+            const ws = this._workspaceByIndex(from);
+            const target = Number(to) | 0;
+            if (!wm || !ws || !this._workspaceByIndex(target))
+                return false;
+
+            const src = ws.index();
+            if (src === target)
+                return true;
+            wm.reorder_workspace(ws, target);
+
+            const names = this._workspaceNames();
+            while (names.length <= Math.max(src, target))
+                names.push('');
+            const [moved] = names.splice(src, 1);
+            names.splice(target, 0, moved);
+            this._setWorkspaceNames(names);
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // wmctrl -n: only meaningful with static workspaces; the shell owns the
+    // count when dynamic workspaces are enabled.
+    _setWorkspaceCount(count) {
+        try {
+            const n = Number(count) | 0;
+            if (n < 1 || this._dynamicWorkspaces())
+                return false;
+            this._wmPrefs().set_int('num-workspaces', n);
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Monitor the cycling methods stay on: the active window's, else the one
+    // under the pointer
+    _currentMonitor() {
+        try {
+            const w = global.display.get_focus_window();
+            if (w)
+                return this._windowMonitor(w);
+        } catch (e) {}
+        try { return global.display.get_current_monitor(); } catch (e) {}
+        return -1;
+    }
+
+    // Cycling scope: current workspace (sticky windows included) and, with
+    // opts.monitor, only windows on the current monitor
+    _cycleScope(opts) {
+        const wsIdx = this._activeWorkspaceIndex();
+        const monitor = opts && opts.monitor ? this._currentMonitor() : -1;
+        return it => (it.desk === wsIdx || it.desk === -1) &&
+            (monitor === -1 || this._windowMonitor(it.win) === monitor);
+    }
+
+    // Windows left out of cycling: the cycle-exclude selectors and, with
+    // cycle-skip-minimized, minimized windows. Settings are read on every call
+    // so preference changes apply immediately.
+    _cycleSkip() {
+        let exclude = ['class=copyq.copyq'];
+        let skipMinimized = false;
+        if (this._settings) {
+            exclude = this._settings.get_strv('cycle-exclude');
+            skipMinimized = this._settings.get_boolean('cycle-skip-minimized');
+        }
+
+        const key = exclude.join('\n');
+        if (this._cycleExclude.key !== key) {
+            const selectors = [];
+            for (const sel of exclude) {
+                if (!sel.trim())
+                    continue;
+                try {
+                    selectors.push(this._parseSelector(sel));
+                } catch (e) {
+                    logError(e, `Ignoring invalid cycle-exclude selector '${sel}'`);
+                }
+            }
+            this._cycleExclude = { key, selectors };
+        }
+
+        const selectors = this._cycleExclude.selectors;
+        return it => (skipMinimized && !!it.win.minimized) ||
+            selectors.some(terms => terms.every(t => t(it)));
+    }
+
+    // FocusCycle's "order" option, else the cycle-order setting
+    _cycleOrder(opts) {
+        if (opts && opts.order !== undefined)
+            return opts.order;
+        return this._settings ? this._settings.get_string('cycle-order') : 'creation';
+    }
+
+    // Items to cycle through. An MRU cycle keeps the order it started with
+    // while it goes on, as alt-tab does; otherwise each step would move its
+    // window to the front and "next" would only toggle between two windows.
+    // The cycle ends MRU_CYCLE_RESET_MS after its last step, or as soon as
+    // focus moves to a window it did not pick (see _recordFocus).
+    _cycleItems(opts) {
+        const order = this._cycleOrder(opts);
+        if (order !== 'mru') {
+            this._endMruCycle();
+            return this._orderedItems(order);
+        }
+        if (!this._mruCycle)
+            this._mruCycle = { mru: [...this._mru], target: null, sourceId: 0 };
+        const cycle = this._mruCycle;
+        if (cycle.sourceId)
+            GLib.source_remove(cycle.sourceId);
+        cycle.sourceId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MRU_CYCLE_RESET_MS, () => {
+            cycle.sourceId = 0;
+            this._endMruCycle();
+            return GLib.SOURCE_REMOVE;
+        });
+        return this._sortByMru(this._listWindowsItems(), cycle.mru);
+    }
+
+    _cycleTo(it) {
+        if (this._mruCycle)
+            this._mruCycle.target = it.win;
+        return this._activateWindowById(it.id);
+    }
+
+    _endMruCycle() {
+        if (!this._mruCycle)
+            return;
+        if (this._mruCycle.sourceId)
+            GLib.source_remove(this._mruCycle.sourceId);
+        this._mruCycle = null;
+    }
+
+    _focusRelativeSameAppWindow(delta, opts = {}) {
+        try {
+            const inScope = this._cycleScope(opts);
+            const skip = this._cycleSkip();
             const activeId = this._activeWindowId();
             if (!activeId)
                 return false;
@@ -555,7 +1835,7 @@ class WMCtrlLikeExtension {
                 activeCls = this._classInstance(activeWin);
 
             // Reuse shared, sorted window collection
-            const all = this._listWindowsItems();
+            const all = this._cycleItems(opts);
             if (!Array.isArray(all) || all.length === 0)
                 return false;
 
@@ -566,8 +1846,10 @@ class WMCtrlLikeExtension {
                 activeCls = found.cls;
             }
 
-            // Same app, same workspace (include sticky windows)
-            const items = all.filter(it => it.cls === activeCls && (it.desk === wsIdx || it.desk === -1));
+            // Same app, same workspace (include sticky windows); excluded windows
+            // are never targets but the active one keeps our position
+            const isActive = it => String(it.id).toLowerCase() === String(activeId).toLowerCase();
+            const items = all.filter(it => it.cls === activeCls && inScope(it) && (isActive(it) || !skip(it)));
             if (items.length === 0)
                 return false;
 
@@ -586,9 +1868,9 @@ class WMCtrlLikeExtension {
             if (!target)
                 return false;
 
-            return this._activateWindowById(target.id);
+            return this._cycleTo(target);
         } catch (e) {
-            return false;
+            return this._failed(e, false);
         }
     }
 
@@ -600,15 +1882,16 @@ class WMCtrlLikeExtension {
         return this._focusRelativeSameAppWindow(-1);
     }
 
-    _focusRelativeOtherAppWindow(delta) {
+    _focusRelativeOtherAppWindow(delta, opts = {}) {
         try {
-            const wsIdx = this._activeWorkspaceIndex();
+            const inScope = this._cycleScope(opts);
+            const skip = this._cycleSkip();
             const activeId = this._activeWindowId();
             if (!activeId)
                 return false;
 
             // Use shared, sorted window list
-            const all = this._listWindowsItems();
+            const all = this._cycleItems(opts);
             if (!Array.isArray(all) || all.length === 0)
                 return false;
 
@@ -624,10 +1907,8 @@ class WMCtrlLikeExtension {
                 activeCls = this._classInstance(w);
             }
 
-            const COPYQ_CLS = 'copyq.copyq';
-
             // Consider only same-workspace (or sticky) items, in the same global order
-            const inWs = all.filter(it => (it.desk === wsIdx || it.desk === -1));
+            const inWs = all.filter(inScope);
             if (inWs.length === 0)
                 return false;
 
@@ -640,12 +1921,12 @@ class WMCtrlLikeExtension {
             if (len === 1) {
                 // Only one window visible in workspace; must be same as active or not usable
                 const only = inWs[0];
-                if (only && only.cls !== activeCls && only.cls !== COPYQ_CLS)
-                    return this._activateWindowById(only.id);
+                if (only && only.cls !== activeCls && !skip(only))
+                    return this._cycleTo(only);
                 return false;
             }
 
-            // Step through circularly to find the next/prev window of a different app, skipping CopyQ
+            // Step through circularly to find the next/prev window of a different app, skipping excluded ones
             for (let step = 1; step <= len; step++) {
                 let targetIndex = (idx + delta * step) % len;
                 if (targetIndex < 0)
@@ -654,17 +1935,17 @@ class WMCtrlLikeExtension {
                 const cand = inWs[targetIndex];
                 if (!cand)
                     continue;
-                if (cand.cls === COPYQ_CLS)
+                if (skip(cand))
                     continue;
                 if (cand.cls === activeCls)
                     continue;
 
-                return this._activateWindowById(cand.id);
+                return this._cycleTo(cand);
             }
 
             return false;
         } catch (e) {
-            return false;
+            return this._failed(e, false);
         }
     }
 
@@ -676,20 +1957,19 @@ class WMCtrlLikeExtension {
         return this._focusRelativeOtherAppWindow(-1);
     }
 
-    _focusRelativeAnyAppWindow(delta) {
+    _focusRelativeAnyAppWindow(delta, opts = {}) {
         try {
-            const wsIdx = this._activeWorkspaceIndex();
+            const inScope = this._cycleScope(opts);
+            const skip = this._cycleSkip();
             const activeId = this._activeWindowId();
             if (!activeId)
                 return false;
 
-            const all = this._listWindowsItems();
+            const all = this._cycleItems(opts);
             if (!Array.isArray(all) || all.length === 0)
                 return false;
 
-            const COPYQ_CLS = 'copyq.copyq';
-
-            const inWs = all.filter(it => (it.desk === wsIdx || it.desk === -1));
+            const inWs = all.filter(inScope);
             if (inWs.length === 0)
                 return false;
 
@@ -707,17 +1987,17 @@ class WMCtrlLikeExtension {
                 const cand = inWs[targetIndex];
                 if (!cand)
                     continue;
-                if (cand.cls === COPYQ_CLS)
+                if (skip(cand))
                     continue;
                 if (String(cand.id).toLowerCase() === String(activeId).toLowerCase())
                     continue;
 
-                return this._activateWindowById(cand.id);
+                return this._cycleTo(cand);
             }
 
             return false;
         } catch (e) {
-            return false;
+            return this._failed(e, false);
         }
     }
 
@@ -729,54 +2009,953 @@ class WMCtrlLikeExtension {
         return this._focusRelativeAnyAppWindow(-1);
     }
 
-    // Focus window by class/appId with preference to current workspace.
-    // Returns:
-    //   0 = success (focused a matching window)
-    //   1 = no match found
-    //   2 = found match but activation failed (or unexpected error)
-    _focusByCls(cls) {
-        try {
-            if (typeof cls !== 'string' || cls.trim() === '')
-                return 1;
+    // Nearest visible window from the active one towards dir (left, right,
+    // up, down) on the current workspace. A candidate's center must lie beyond
+    // the active window's center, so overlapping windows qualify too. Windows
+    // sharing a row (or column) win over diagonal ones, then the smallest edge
+    // gap, then the closest center, then the topmost. Windows hidden entirely
+    // behind a single window above them are not considered visible.
+    // Returns { active, target } items or null.
+    _directionalNeighbour(dir) {
+        const axes = {
+            left: { h: true, sign: -1 },
+            right: { h: true, sign: +1 },
+            up: { h: false, sign: -1 },
+            down: { h: false, sign: +1 },
+        }[String(dir).toLowerCase()];
+        if (!axes)
+            return null;
 
-            const targetCls = String(cls).trim().toLowerCase();
-            const all = this._listWindowsItems();
-            if (!Array.isArray(all) || all.length === 0)
-                return 1;
+        const activeId = this._activeWindowId();
+        if (!activeId)
+            return null;
+        const inScope = this._cycleScope({});
+        const skip = this._cycleSkip();
+        const all = this._listWindowsItems().filter(it => inScope(it) && !it.win.minimized);
+        const active = all.find(it => it.id === activeId);
+        if (!active)
+            return null;
 
-            const wsIdx = this._activeWorkspaceIndex();
+        // Topmost first
+        const stack = this._sortByStacking(all).reverse()
+            .map(it => ({ it, r: this._frameRect(it.win) }));
+        const contains = (o, i) => o.x <= i.x && o.y <= i.y &&
+            o.x + o.width >= i.x + i.width && o.y + o.height >= i.y + i.height;
+
+        const a = this._frameRect(active.win);
+        const span = r => axes.h
+            ? { p0: r.x, p1: r.x + r.width, q0: r.y, q1: r.y + r.height }
+            : { p0: r.y, p1: r.y + r.height, q0: r.x, q1: r.x + r.width };
+        const sa = span(a);
+        const ca = (sa.p0 + sa.p1) / 2;
+
+        // Lexicographic comparison of ranking keys
+        const precedes = (x, y) => {
+            const i = x.findIndex((v, k) => v !== y[k]);
+            return i !== -1 && x[i] < y[i];
+        };
 
-            // exact match against our normalized cls field
-            const matches = all.filter(it => String(it.cls).toLowerCase() === targetCls);
-            if (matches.length === 0)
-                return 1;
+        let best = null;
+        stack.forEach(({ it, r }, depth) => {
+            if (it === active || skip(it) || r.width <= 0 || r.height <= 0)
+                return;
+            if (stack.slice(0, depth).some(above => contains(above.r, r)))
+                return;
+
+            const sc = span(r);
+            const cc = (sc.p0 + sc.p1) / 2;
+            if ((cc - ca) * axes.sign <= 0)
+                return;
+
+            // Edges merely touching do not count as sharing a row
+            const overlaps = Math.min(sa.q1, sc.q1) - Math.max(sa.q0, sc.q0) > 0;
+            const perpGap = Math.max(0, sc.q0 - sa.q1, sa.q0 - sc.q1);
+            const edgeGap = Math.max(0, axes.sign > 0 ? sc.p0 - sa.p1 : sa.p0 - sc.p1);
+            const cand = {
+                it,
+                key: [overlaps ? 0 : 1, edgeGap + perpGap, Math.abs(cc - ca), depth],
+            };
+            if (!best || precedes(cand.key, best.key))
+                best = cand;
+        });
+        return best ? { active, target: best.it } : null;
+    }
+
+    _focusDirection(dir) {
+        try {
+            const pair = this._directionalNeighbour(dir);
+            return pair ? this._activateWindowById(pair.target.id) : false;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Exchange the frame rects of the active window and its neighbour;
+    // the active window keeps focus
+    _swapDirection(dir) {
+        try {
+            const pair = this._directionalNeighbour(dir);
+            if (!pair)
+                return false;
+            const ra = this._frameRect(pair.active.win);
+            const rb = this._frameRect(pair.target.win);
+            const ok = this._moveResizeWindowById(pair.target.id, 0, ra.x, ra.y, ra.width, ra.height, false);
+            return this._moveResizeWindowById(pair.active.id, 0, rb.x, rb.y, rb.width, rb.height, false) && ok;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Generic entry point for the FocusNext*/FocusPrev* family: mode is same,
+    // other or any; the sign of direction picks next or previous.
+    // opts: monitor (b) keeps to the current monitor, order (s) is
+    // "creation" or "mru" (default: the cycle-order setting)
+    _focusCycle(mode, direction, opts = {}) {
+        const delta = direction < 0 ? -1 : +1;
+        switch (String(mode)) {
+        case 'same':
+            return this._focusRelativeSameAppWindow(delta, opts);
+        case 'other':
+            return this._focusRelativeOtherAppWindow(delta, opts);
+        case 'any':
+            return this._focusRelativeAnyAppWindow(delta, opts);
+        default:
+            return false;
+        }
+    }
+
+    // a{sv} arguments arrive with variant values; unwrap them to plain JS
+    _unpackOptions(options) {
+        const out = {};
+        for (const [k, v] of Object.entries(options || {}))
+            out[k] = v instanceof GLib.Variant ? v.recursiveUnpack() : v;
+        return out;
+    }
+
+    _listMonitors() {
+        try {
+            const n = global.display.get_n_monitors();
+            const primary = global.display.get_primary_monitor();
+            const current = this._currentMonitor();
+            const ws = this._workspaceByIndex(this._activeWorkspaceIndex());
+
+            const out = [];
+            for (let i = 0; i < n; i++) {
+                const geo = global.display.get_monitor_geometry(i);
+                let area = geo;
+                try {
+                    if (ws)
+                        area = ws.get_work_area_for_monitor(i);
+                } catch (e) {}
+                let scale = 1;
+                try { scale = global.display.get_monitor_scale(i); } catch (e) {}
+                const dict = this._toVardict({
+                    index: i,
+                    primary: i === primary,
+                    current: i === current,
+                    x: geo.x,
+                    y: geo.y,
+                    width: geo.width,
+                    height: geo.height,
+                    workarea_x: area.x,
+                    workarea_y: area.y,
+                    workarea_width: area.width,
+                    workarea_height: area.height,
+                });
+                // Always a double, whole scales included
+                dict.scale = new GLib.Variant('d', Number(scale));
+                out.push(dict);
+            }
+            return out;
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Raise and lower only restack: focus and the active workspace stay as
+    // they are, and Mutter keeps windows within their layer (always-on-top
+    // windows stay above normal ones)
+    _raiseWindowById(id) {
+        try {
+            const w = this._findWindowById(id);
+            if (!w)
+                return false;
+            w.raise();
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    _lowerWindowById(id) {
+        try {
+            const w = this._findWindowById(id);
+            if (!w)
+                return false;
+            w.lower();
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Place a window directly above or below sibling without changing focus.
+    // Mutter offers no relative restack, so the window is raised (lowered)
+    // and the windows that were above (below) sibling are raised (lowered)
+    // again in their order. False if the windows ended up elsewhere, e.g.
+    // because they are in different layers.
+    _restackWindowById(id, siblingId, position) {
+        try {
+            const w = this._findWindowById(id);
+            const sibling = this._findWindowById(siblingId);
+            if (!w || !sibling || w === sibling || !['above', 'below'].includes(position))
+                return false;
+
+            const stack = () => global.display.sort_windows_by_stacking([...this._index.keys()]);
+            const before = stack().filter(o => o !== w);
+            const at = before.indexOf(sibling);
+            if (at < 0)
+                return false;
+            if (position === 'above') {
+                w.raise();
+                for (const o of before.slice(at + 1))
+                    o.raise();
+            } else {
+                w.lower();
+                for (const o of before.slice(0, at).reverse())
+                    o.lower();
+            }
+
+            const after = stack();
+            const offset = after.indexOf(w) - after.indexOf(sibling);
+            return position === 'above' ? offset === 1 : offset === -1;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Keeps the window's position and size proportional to the work areas of
+    // the source and target monitors. Maximized and fullscreen windows are
+    // handed to Mutter so they keep their state on the new monitor.
+    _moveWindowToMonitorById(id, monitor) {
+        try {
+            const w = this._findWindowById(id);
+            if (!w)
+                return false;
+
+            const target = Number(monitor) | 0;
+            if (target < 0 || target >= global.display.get_n_monitors())
+                return false;
+
+            const source = this._windowMonitor(w);
+            if (source === target)
+                return true;
+
+            let fullscreen = false;
+            try { fullscreen = w.is_fullscreen(); } catch (e) {}
+            if (fullscreen || (typeof w.get_maximized === 'function' && w.get_maximized())) {
+                w.move_to_monitor(target);
+                return true;
+            }
+
+            const ws = (typeof w.get_workspace === 'function' && w.get_workspace()) ||
+                this._workspaceByIndex(this._activeWorkspaceIndex());
+            if (!ws)
+                return false;
+            const from = ws.get_work_area_for_monitor(source);
+            const to = ws.get_work_area_for_monitor(target);
+            if (!(from.width > 0 && from.height > 0))
+                return false;
+
+            try {
+                if (typeof w.unminimize === 'function' && w.minimized)
+                    w.unminimize();
+            } catch (e) {}
+
+            const r = w.get_frame_rect();
+            const sx = to.width / from.width;
+            const sy = to.height / from.height;
+            w.move_resize_frame(true,
+                to.x + Math.round((r.x - from.x) * sx),
+                to.y + Math.round((r.y - from.y) * sy),
+                Math.max(1, Math.round(r.width * sx)),
+                Math.max(1, Math.round(r.height * sy)));
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Target frame rect for a placement preset within a work area, or null if
+    // the preset is invalid. Besides PLACE_PRESETS this accepts:
+    //   center            keep the size, center in the work area
+    //   center-N%         N% of the work area's width and height, centered
+    //   grid:CxR@c,r      cell (c, r) of a C-by-R grid, optionally followed by
+    //                     "span WxH" (or ":WxH") to cover several cells
+    _placeRect(preset, area, current) {
+        const p = String(preset || '').toLowerCase().replace(/\s+/g, '');
+
+        if (p === 'center') {
+            return {
+                x: area.x + Math.round((area.width - current.width) / 2),
+                y: area.y + Math.round((area.height - current.height) / 2),
+                width: current.width,
+                height: current.height,
+            };
+        }
+
+        let m = /^center-(\d+(?:\.\d+)?)%$/.exec(p);
+        if (m) {
+            const f = Number(m[1]) / 100;
+            if (!(f > 0 && f <= 1))
+                return null;
+            const width = Math.round(area.width * f);
+            const height = Math.round(area.height * f);
+            return {
+                x: area.x + Math.round((area.width - width) / 2),
+                y: area.y + Math.round((area.height - height) / 2),
+                width,
+                height,
+            };
+        }
+
+        let cell = PLACE_PRESETS[p] || null;
+        m = /^grid:(\d+)x(\d+)@(\d+),(\d+)(?:(?:span|:|\+)(\d+)x(\d+))?$/.exec(p);
+        if (m)
+            cell = [1, 2, 3, 4, 5, 6].map(i => m[i] === undefined ? 1 : Number(m[i]));
+        if (!cell)
+            return null;
+
+        const [cols, rows, col, row, spanC, spanR] = cell;
+        if (cols < 1 || rows < 1 || spanC < 1 || spanR < 1 || col + spanC > cols || row + spanR > rows)
+            return null;
+
+        // Edges from cumulative fractions so adjacent cells share them exactly
+        const x1 = area.x + Math.floor(area.width * col / cols);
+        const x2 = area.x + Math.floor(area.width * (col + spanC) / cols);
+        const y1 = area.y + Math.floor(area.height * row / rows);
+        const y2 = area.y + Math.floor(area.height * (row + spanR) / rows);
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    }
+
+    // Windows with a minimum size larger than their target end up overflowing
+    // it; once Mutter has applied the constraints, shift them back inside the
+    // work area.
+    _keepInWorkArea(w, area) {
+        let sizeId = 0;
+        let unmanagedId = 0;
+        let timeoutId = 0;
+        const cancel = () => {
+            this._pending.delete(cancel);
+            for (const handlerId of [sizeId, unmanagedId]) {
+                if (handlerId) {
+                    try { w.disconnect(handlerId); } catch (e) {}
+                }
+            }
+            sizeId = unmanagedId = 0;
+            if (timeoutId) {
+                GLib.source_remove(timeoutId);
+                timeoutId = 0;
+            }
+        };
+        const settle = () => {
+            cancel();
+            try {
+                const r = w.get_frame_rect();
+                const x = Math.max(area.x, Math.min(r.x, area.x + area.width - r.width));
+                const y = Math.max(area.y, Math.min(r.y, area.y + area.height - r.height));
+                if (x !== r.x || y !== r.y)
+                    w.move_frame(true, x, y);
+            } catch (e) {}
+        };
+        sizeId = w.connect('size-changed', settle);
+        unmanagedId = w.connect('unmanaged', cancel);
+        timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
+            timeoutId = 0;
+            settle();
+            return GLib.SOURCE_REMOVE;
+        });
+        this._pending.add(cancel);
+    }
+
+    // Place a window on its monitor's work area (panels excluded) using a
+    // preset understood by _placeRect
+    _placeWindowById(id, preset) {
+        try {
+            const w = this._findWindowById(id);
+            if (!w)
+                return false;
+
+            const ws = (typeof w.get_workspace === 'function' && w.get_workspace()) ||
+                this._workspaceByIndex(this._activeWorkspaceIndex());
+            const monitor = this._windowMonitor(w);
+            if (!ws || monitor < 0)
+                return false;
+            const area = ws.get_work_area_for_monitor(monitor);
+
+            const rect = this._placeRect(preset, area, this._frameRect(w));
+            if (!rect)
+                return false;
+
+            try {
+                if (typeof w.unminimize === 'function' && w.minimized)
+                    w.unminimize();
+                if (typeof w.is_fullscreen === 'function' && w.is_fullscreen())
+                    w.unmake_fullscreen();
+                if (typeof w.get_maximized === 'function' && w.get_maximized())
+                    w.unmaximize(Meta.MaximizeFlags.BOTH);
+            } catch (e) {}
+
+            w.move_resize_frame(true, rect.x, rect.y, rect.width, rect.height);
+            this._keepInWorkArea(w, area);
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Items sorted bottom to top in the stacking order
+    _sortByStacking(items) {
+        const byWin = new Map(items.map(it => [it.win, it]));
+        try {
+            return global.display.sort_windows_by_stacking(items.map(it => it.win))
+                .map(w => byWin.get(w))
+                .filter(it => it);
+        } catch (e) {
+            return items.slice();
+        }
+    }
+
+    // Files under ~/.config/wmctrllike
+    _configPath(...parts) {
+        return GLib.build_filenamev([GLib.get_user_config_dir(), 'wmctrllike', ...parts]);
+    }
+
+    _layoutPath(name) {
+        const n = String(name || '');
+        if (!/^[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(n))
+            return null;
+        return this._configPath('layouts', `${n}.json`);
+    }
+
+    // Snapshot every listed window, bottom to top, to
+    // ~/.config/wmctrllike/layouts/<name>.json
+    _saveLayout(name) {
+        try {
+            const path = this._layoutPath(name);
+            if (!path)
+                return false;
+
+            const windows = this._sortByStacking(this._listWindowsItems()).map(it => {
+                const d = this._windowDetails(it);
+                return {
+                    cls: d.cls,
+                    title: d.title,
+                    app_id: d.app_id,
+                    desk: d.desk,
+                    monitor: d.monitor,
+                    x: d.x,
+                    y: d.y,
+                    width: d.width,
+                    height: d.height,
+                    maximized_horz: d.maximized_horz,
+                    maximized_vert: d.maximized_vert,
+                    fullscreen: d.fullscreen,
+                    minimized: d.minimized,
+                };
+            });
+
+            GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o755);
+            const data = { version: 1, saved: new Date().toISOString(), windows };
+            return GLib.file_set_contents(path, JSON.stringify(data, null, 2));
+        } catch (e) {
+            logError(e, `Failed to save layout ${name}`);
+            return this._failed(e, false);
+        }
+    }
+
+    // Window ids are not stable across sessions, so saved entries are matched
+    // to current windows by cls: an exact title match wins, then the entry's
+    // optional title_pattern (a regex, for hand-edited layouts), then any
+    // remaining window of that class unless a title_pattern was given.
+    _matchLayoutEntries(entries) {
+        const current = this._listWindowsItems();
+        const used = new Set();
+        const matches = new Array(entries.length).fill(null);
+        const take = (i, it) => {
+            if (it) {
+                used.add(it);
+                matches[i] = it;
+            }
+        };
+        const free = entry => current.filter(it => !used.has(it) && it.cls === entry.cls);
+
+        entries.forEach((entry, i) => take(i, free(entry).find(it => it.title === entry.title)));
+        entries.forEach((entry, i) => {
+            if (matches[i])
+                return;
+            if (entry.title_pattern) {
+                let re = null;
+                try { re = new RegExp(entry.title_pattern); } catch (e) {}
+                take(i, re ? free(entry).find(it => re.test(it.title)) : null);
+            } else {
+                take(i, free(entry)[0]);
+            }
+        });
+        return matches;
+    }
+
+    _applyLayoutEntry(it, entry) {
+        const w = it.win;
+        const desk = Number(entry.desk);
+
+        if (desk === -1) {
+            if (!w.is_on_all_workspaces())
+                w.stick();
+        } else {
+            if (w.is_on_all_workspaces())
+                w.unstick();
+            this._moveWindowToWorkspaceById(it.id, desk);
+        }
+
+        if (!entry.fullscreen && w.is_fullscreen())
+            w.unmake_fullscreen();
+        this._moveResizeWindowById(it.id, 0, entry.x, entry.y, entry.width, entry.height, false);
+
+        const monitor = Number(entry.monitor);
+        if ((entry.fullscreen || entry.maximized_horz || entry.maximized_vert) &&
+            monitor >= 0 && monitor < global.display.get_n_monitors())
+            w.move_to_monitor(monitor);
+        if (entry.maximized_horz || entry.maximized_vert) {
+            w.maximize((entry.maximized_horz ? Meta.MaximizeFlags.HORIZONTAL : 0) |
+                (entry.maximized_vert ? Meta.MaximizeFlags.VERTICAL : 0));
+        }
+        if (entry.fullscreen)
+            w.make_fullscreen();
+
+        if (entry.minimized)
+            w.minimize();
+        else if (w.minimized)
+            w.unminimize();
+    }
+
+    // Returns the number of windows restored, or -1 if the layout is missing
+    // or unreadable
+    _restoreLayout(name) {
+        try {
+            const path = this._layoutPath(name);
+            if (!path)
+                return -1;
+            const [ok, bytes] = GLib.file_get_contents(path);
+            if (!ok)
+                return -1;
+            const data = JSON.parse(ByteArray.toString(bytes));
+            const entries = Array.isArray(data.windows) ? data.windows : [];
+
+            const matches = this._matchLayoutEntries(entries);
+            let restored = 0;
+            matches.forEach((it, i) => {
+                if (!it)
+                    return;
+                try {
+                    this._applyLayoutEntry(it, entries[i]);
+                    restored++;
+                } catch (e) {
+                    logError(e, `Failed to restore ${it.id} from layout ${name}`);
+                }
+            });
+
+            // Entries are stored bottom to top: raising in order rebuilds the stack
+            matches.forEach((it, i) => {
+                if (it && !entries[i].minimized) {
+                    try { it.win.raise(); } catch (e) {}
+                }
+            });
+            return restored;
+        } catch (e) {
+            logError(e, `Failed to restore layout ${name}`);
+            return this._failed(e, -1);
+        }
+    }
+
+    // Mutter re-reads the accelerators itself when a key changes, so bindings
+    // only need adding once
+    _addKeybindings() {
+        if (!this._settings)
+            return;
+        for (const [name, handler] of Object.entries(KEYBINDINGS)) {
+            try {
+                Main.wm.addKeybinding(name, this._settings, Meta.KeyBindingFlags.NONE,
+                    Shell.ActionMode.NORMAL, () => handler(this));
+                this._keybindings.push(name);
+            } catch (e) {
+                logError(e, `Failed to add keybinding ${name}`);
+            }
+        }
+    }
+
+    _removeKeybindings() {
+        for (const name of this._keybindings) {
+            try { Main.wm.removeKeybinding(name); } catch (e) {}
+        }
+        this._keybindings = [];
+    }
+
+    // The shell's end-session dialog announces confirmed logouts, reboots and
+    // shutdowns on the session bus; save the configured layout on any of them.
+    _connectLayoutAutosave() {
+        for (const signal of ['ConfirmedLogout', 'ConfirmedReboot', 'ConfirmedShutdown']) {
+            this._endSessionSignalIds.push(Gio.DBus.session.signal_subscribe(
+                null, 'org.gnome.SessionManager.EndSessionDialog', signal,
+                '/org/gnome/SessionManager/EndSessionDialog', null, Gio.DBusSignalFlags.NONE,
+                () => this._autosaveLayout()));
+        }
+    }
+
+    // Also run from disable(), which covers a logout without the dialog
+    // (e.g. gnome-session-quit --no-prompt) as well as the screen locking
+    _autosaveLayout() {
+        const name = this._settings ? this._settings.get_string('autosave-layout') : '';
+        if (name)
+            this._saveLayout(name);
+    }
+
+    _disconnectLayoutAutosave() {
+        for (const id of this._endSessionSignalIds)
+            Gio.DBus.session.signal_unsubscribe(id);
+        this._endSessionSignalIds = [];
+    }
+
+    // Items whose normalized cls equals the given class/appId (exact, case-insensitive)
+    _itemsByCls(cls) {
+        if (typeof cls !== 'string' || cls.trim() === '')
+            return [];
+        const targetCls = cls.trim().toLowerCase();
+        return this._listWindowsItems().filter(it => String(it.cls).toLowerCase() === targetCls);
+    }
+
+    // Focus window by class/appId with preference to current workspace.
+    // Returns:
+    //   0 = success (focused a matching window)
+    //   1 = no match found
+    //   2 = found match but activation failed (or unexpected error)
+    // opts.preferCurrentWorkspace (default true) picks a window on the current
+    // workspace first; opts.pull moves the picked window to the current workspace
+    _focusByCls(cls, opts = {}) {
+        try {
+            const matches = this._itemsByCls(cls);
+            if (matches.length === 0)
+                return 1;
+
+            const wsIdx = this._activeWorkspaceIndex();
 
             // Prefer current workspace (including sticky)
             const inWs = matches.filter(it => (it.desk === wsIdx || it.desk === -1));
             const offWs = matches.filter(it => !(it.desk === wsIdx || it.desk === -1));
 
-            const pick = (inWs.length > 0 ? inWs[0] : (offWs[0] || null));
-            if (!pick)
-                return 1;
+            const pick = opts.preferCurrentWorkspace === false
+                ? matches[0]
+                : (inWs.length > 0 ? inWs[0] : (offWs[0] || null));
+            if (!pick)
+                return 1;
+
+            if (opts.pull && pick.desk !== wsIdx && pick.desk !== -1)
+                this._moveWindowToWorkspaceById(pick.id, wsIdx);
+
+            const ok = this._activateWindowById(pick.id);
+            return ok ? 0 : 2;
+        } catch (e) {
+            return this._failed(e, 2);
+        }
+    }
+
+    // Mutter's kill for this one window (not a SIGKILL of the whole PID, which
+    // would take the application's other windows with it)
+    _killWindow(w) {
+        try {
+            w.kill();
+            return true;
+        } catch (e) {
+            return this._failed(e, false);
+        }
+    }
+
+    // Ask a window to close (like wmctrl -c) and call done(code) once the
+    // outcome is known:
+    //   0 = window closed (or was killed, when force is set)
+    //   2 = window did not close within CLOSE_TIMEOUT_SECONDS (or, when
+    //       forced, was still there CLOSE_TIMEOUT_SECONDS after the kill),
+    //       or the extension was disabled while waiting
+    _closeWindow(w, force, done) {
+        let finished = false;
+        let unmanagedId = 0;
+        let timeoutId = 0;
+        const finish = code => {
+            if (finished)
+                return;
+            finished = true;
+            this._pending.delete(cancel);
+            if (unmanagedId) {
+                try { w.disconnect(unmanagedId); } catch (e) {}
+            }
+            if (timeoutId)
+                GLib.source_remove(timeoutId);
+            done(code);
+        };
+        const cancel = () => finish(2);
+        this._pending.add(cancel);
+
+        // Killed windows only count as closed once they are unmanaged
+        const kill = () => {
+            if (!force || !this._killWindow(w)) {
+                finish(2);
+                return;
+            }
+            timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, CLOSE_TIMEOUT_SECONDS, () => {
+                timeoutId = 0;
+                finish(2);
+                return GLib.SOURCE_REMOVE;
+            });
+        };
+
+        unmanagedId = w.connect('unmanaged', () => finish(0));
+        timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, CLOSE_TIMEOUT_SECONDS, () => {
+            timeoutId = 0;
+            kill();
+            return GLib.SOURCE_REMOVE;
+        });
+
+        try {
+            if (typeof w.can_close === 'function' && !w.can_close()) {
+                // Nothing to wait for: the window has no close action
+                GLib.source_remove(timeoutId);
+                timeoutId = 0;
+                kill();
+                return;
+            }
+            w.delete(this._eventTimestamp());
+        } catch (e) {
+            // Keep waiting: the timeout reports refusal or forces the kill
+        }
+    }
+
+    // Returns through done(code): 0 = closed, 1 = no window with that id,
+    // 2 = refused to close
+    _closeWindowById(id, force, done) {
+        const w = this._findWindowById(id);
+        if (!w) {
+            done(1);
+            return;
+        }
+        this._closeWindow(w, !!force, done);
+    }
+
+    // Close every window of a class/appId (same matching as FocusByCls).
+    // Returns through done(code): 0 = all closed, 1 = no matching window,
+    // 2 = at least one window refused to close
+    _closeWindowsByCls(cls, force, done) {
+        const matches = this._itemsByCls(cls);
+        if (matches.length === 0) {
+            done(1);
+            return;
+        }
+        let pending = matches.length;
+        let result = 0;
+        for (const it of matches) {
+            this._closeWindow(it.win, !!force, code => {
+                if (code !== 0)
+                    result = 2;
+                if (--pending === 0)
+                    done(result);
+            });
+        }
+    }
+
+    _debugLog(msg) {
+        const logPath = GLib.build_filenamev([GLib.get_tmp_dir(), 'wmctrllike.log']);
+        const file = Gio.File.new_for_path(logPath);
+        let stream;
+        try {
+            stream = file.append_to(Gio.FileCreateFlags.NONE, null);
+        } catch (e) {
+            stream = file.create(Gio.FileCreateFlags.NONE, null);
+        }
+        stream.write(`${new Date().toISOString()} [LaunchHere] ${msg}\n`, null);
+        stream.close(null);
+    }
+
+    // Focus a window of cls, cycle to its next window when one is already
+    // focused, or launch command_line on the current workspace when none exists.
+    // Options: prefer-current-workspace (b, default true),
+    // pull-to-current-workspace (b, default false), cycle-if-focused (b, default true).
+    // Returns 0 = raised, 1 = cycled, 2 = launched, -1 = activation failed,
+    // -2 = launch failed
+    _runOrRaise(cls, command_line, opts = {}) {
+        try {
+            const matches = this._itemsByCls(cls);
+            const activeId = this._activeWindowId();
+            const focused = matches.some(it => it.id === activeId);
+
+            if (focused && opts['cycle-if-focused'] !== false && matches.length > 1)
+                return this._focusRelativeSameAppWindow(+1) ? 1 : -1;
+
+            if (matches.length > 0) {
+                const code = this._focusByCls(cls, {
+                    preferCurrentWorkspace: opts['prefer-current-workspace'] !== false,
+                    pull: opts['pull-to-current-workspace'] === true,
+                });
+                return code === 0 ? 0 : -1;
+            }
+
+            return this._launchHere(command_line, cls) ? 2 : -2;
+        } catch (e) {
+            return this._failed(e, -1);
+        }
+    }
+
+    // Parent PID from /proc/PID/stat, or 0
+    _parentPid(pid) {
+        try {
+            const [ok, bytes] = GLib.file_get_contents(`/proc/${pid}/stat`);
+            if (!ok)
+                return 0;
+            // The command name may contain spaces and parentheses; fields resume after the last ')'
+            const stat = ByteArray.toString(bytes);
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            return Number(fields[1]) || 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    // Whether pid is ancestor or equal to the window's process (launchers
+    // and shell wrappers often fork the real client)
+    _windowFromPid(w, pid) {
+        let p = 0;
+        try { p = w.get_pid(); } catch (e) {}
+        for (let depth = 0; p > 1 && depth < 8; depth++) {
+            if (p === pid)
+                return true;
+            p = this._parentPid(p);
+        }
+        return false;
+    }
+
+    // target is a desktop file id (e.g. "org.gnome.Terminal.desktop") or a
+    // command line. Resolves to a Gio.AppInfo and, for desktop ids, the Shell.App.
+    _resolveLaunchTarget(target) {
+        const t = String(target || '').trim();
+        if (!t)
+            return null;
+        if (t.endsWith('.desktop') && !/\s/.test(t)) {
+            const app = Shell.AppSystem.get_default().lookup_app(t);
+            if (!app)
+                return null;
+            return { info: app.get_app_info(), app };
+        }
+        const info = Gio.AppInfo.create_from_commandline(t, null,
+            Gio.AppInfoCreateFlags.SUPPORTS_STARTUP_NOTIFICATION);
+        return info ? { info, app: null } : null;
+    }
+
+    // Launch and wait for the first window that belongs to the launch: same
+    // startup-notification id, spawned PID (or a descendant), the launched
+    // desktop app, or (fallback) options.class. The window moves to the current
+    // workspace and is activated unless options.here is false.
+    // Options: timeout (i, seconds), class (s), here (b).
+    // done(id, error): on failure id is '' and error a WMCtrlError.
+    _launch(target, opts, done) {
+        let resolved = null;
+        try {
+            resolved = this._resolveLaunchTarget(target);
+        } catch (e) {
+            done('', new WMCtrlError('Failed', e.message));
+            return;
+        }
+        if (!resolved) {
+            done('', new WMCtrlError('NotFound', `Cannot resolve '${target}'`));
+            return;
+        }
+
+        const timeout = Number(opts.timeout) > 0 ? Number(opts.timeout) : LAUNCH_TIMEOUT_SECONDS;
+        const cls = opts.class ? String(opts.class).toLowerCase() : null;
+        const here = opts.here !== false;
+        const wsIdx = this._activeWorkspaceIndex();
+        const launched = { pid: 0, startupId: null };
+        const pending = new Map();
+        let finished = false;
+        let createdId = 0;
+        let timeoutId = 0;
+
+        const finish = (id, error) => {
+            if (finished)
+                return;
+            finished = true;
+            this._pending.delete(cancel);
+            if (createdId)
+                global.display.disconnect(createdId);
+            if (timeoutId)
+                GLib.source_remove(timeoutId);
+            for (const [w, handlerId] of pending) {
+                try { w.disconnect(handlerId); } catch (e) {}
+            }
+            pending.clear();
+            done(id, error);
+        };
+        const cancel = () => finish('', new WMCtrlError('Failed', 'Extension disabled'));
+        this._pending.add(cancel);
+
+        const belongs = w => {
+            try {
+                if (launched.startupId && w.get_startup_id() === launched.startupId)
+                    return true;
+            } catch (e) {}
+            if (launched.pid > 0 && this._windowFromPid(w, launched.pid))
+                return true;
+            if (resolved.app && this._shellAppId(w) === resolved.app.get_id())
+                return true;
+            return cls !== null && this._classInstance(w) === cls;
+        };
+
+        const take = w => {
+            if (finished || !this._isTasklistWindow(w) || !belongs(w))
+                return false;
+            const id = this._toHexId(w);
+            if (here) {
+                if (this._workspaceIndex(w) !== wsIdx && this._workspaceIndex(w) !== -1)
+                    this._moveWindowToWorkspaceById(id, wsIdx);
+                this._activateWindowById(id);
+            }
+            finish(id);
+            return true;
+        };
 
-            const ok = this._activateWindowById(pick.id);
-            return ok ? 0 : 2;
-        } catch (e) {
-            return 2;
-        }
-    }
+        // Class and app id may only be known once the client has committed,
+        // so windows that do not match straight away get another look then
+        createdId = global.display.connect('window-created', (display, w) => {
+            if (take(w))
+                return;
+            const handlerId = w.connect('notify::wm-class', () => take(w));
+            pending.set(w, handlerId);
+        });
+        timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, timeout, () => {
+            timeoutId = 0;
+            finish('', new WMCtrlError('Timeout', `No window appeared for '${target}' within ${timeout}s`));
+            return GLib.SOURCE_REMOVE;
+        });
 
-    _debugLog(msg) {
-        const logPath = GLib.build_filenamev([GLib.get_tmp_dir(), 'wmctrllike.log']);
-        const file = Gio.File.new_for_path(logPath);
-        let stream;
         try {
-            stream = file.append_to(Gio.FileCreateFlags.NONE, null);
+            const context = global.create_app_launch_context(this._eventTimestamp(), wsIdx);
+            context.connect('launched', (ctx, info, platformData) => {
+                const data = platformData ? platformData.recursiveUnpack() : {};
+                launched.pid = Number(data.pid) || 0;
+                launched.startupId = data['startup-notification-id'] || null;
+            });
+            if (!resolved.info.launch([], context))
+                finish('', new WMCtrlError('Failed', `Failed to launch '${target}'`));
         } catch (e) {
-            stream = file.create(Gio.FileCreateFlags.NONE, null);
+            finish('', new WMCtrlError('Failed', e.message));
         }
-        stream.write(`${new Date().toISOString()} [LaunchHere] ${msg}\n`, null);
-        stream.close(null);
     }
 
     _launchHere(command_line, appId) {
@@ -787,7 +2966,7 @@ class WMCtrlLikeExtension {
                 return true;
             } catch (e) {
                 // this._debugLog(`Launch failed: ${e.message}`);
-                return false;
+                return this._failed(e, false);
             }
         }
 
@@ -803,26 +2982,12 @@ class WMCtrlLikeExtension {
             }
             // this._debugLog(`Activating window`);
             this._activateWindowById(this._toHexId(win));
-            if (command_line.includes('/opt/kitty/linux-package/bin/kitty')) {
-                const monitorIndex = global.display.get_current_monitor();
-                const geometry = global.display.get_monitor_geometry(monitorIndex);
-                const screenW = geometry.width;
-                const screenH = geometry.height;
-                const newW = Math.floor(screenW * 0.4);
-                const newH = Math.floor(screenH * 0.5);
-                // this._debugLog(`Scheduling resize for kitty to ${newW}x${newH}`);
-                GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-                    // this._debugLog(`Performing resize for kitty to ${newW}x${newH}`);
-                    this._resizeWindowById(this._toHexId(win), newW, newH);
-                    return GLib.SOURCE_REMOVE;
-                });
-            }
         };
         try {
             GLib.spawn_command_line_async(command_line);
         } catch (e) {
             // this._debugLog(`Launch failed: ${e.message}`);
-            return false;
+            return this._failed(e, false);
         }
         const handlerId = global.display.connect('window-created', (display, win) => {
             const winCls = this._classInstance(win);
@@ -856,32 +3021,891 @@ class WMCtrlLikeExtension {
         return true;
     }
 
+    // Window rules live in ~/.config/wmctrllike/rules.json:
+    //   { "rules": [ { "name": "kitty",
+    //                  "match": "class=kitty",
+    //                  "actions": { "geometry": { "width": "40%", "height": "50%" } } } ] }
+    // "match" is a window selector. Actions, applied in this order:
+    //   workspace  index or "current"
+    //   monitor    index
+    //   place      a PlaceById preset
+    //   geometry   { x, y, width, height }: pixels, or "N%" of the work area
+    //              (x/y relative to its origin); missing fields keep their value
+    //   maximize, sticky, above   booleans
+    //   focus      true to activate the window
+    // Rules apply to every new window once it has drawn its first frame.
+    _loadRules() {
+        const [ok, bytes] = GLib.file_get_contents(this._configPath('rules.json'));
+        if (!ok)
+            throw new Error('Cannot read rules.json');
+        const data = JSON.parse(ByteArray.toString(bytes));
+        const list = Array.isArray(data.rules) ? data.rules : [];
+        return list.map((rule, index) => {
+            if (!rule || typeof rule.match !== 'string')
+                throw new Error(`Rule ${index} has no "match" selector`);
+            return {
+                index,
+                name: String(rule.name || ''),
+                terms: this._parseSelector(rule.match),
+                actions: rule.actions && typeof rule.actions === 'object' ? rule.actions : {},
+            };
+        });
+    }
+
+    // Returns the number of rules, or -1 (keeping the previous rules) if the
+    // file is invalid. A missing file means no rules.
+    _reloadRules() {
+        if (!GLib.file_test(this._configPath('rules.json'), GLib.FileTest.EXISTS)) {
+            this._rules = [];
+            return 0;
+        }
+        try {
+            this._rules = this._loadRules();
+            return this._rules.length;
+        } catch (e) {
+            logError(e, 'Failed to load window rules');
+            return this._failed(e, -1);
+        }
+    }
+
+    _matchingRules(it) {
+        return this._rules.filter(rule => {
+            try { return rule.terms.every(t => t(it)); } catch (e) { return false; }
+        });
+    }
+
+    // Dry run: which rules would apply to a window, with their actions as JSON
+    _testRules(id) {
+        try {
+            const w = this._findWindowById(id);
+            const it = w ? this._listWindowsItems().find(item => item.win === w) : null;
+            if (!it)
+                return [];
+            return this._matchingRules(it).map(rule => this._toVardict({
+                index: rule.index,
+                name: rule.name,
+                actions: JSON.stringify(rule.actions),
+            }));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Pixels as-is; "N%" as a fraction of size, offset by origin. -1 keeps.
+    _ruleLength(value, origin, size) {
+        if (value === undefined || value === null)
+            return -1;
+        const m = /^\s*(-?\d+(?:\.\d+)?)\s*%\s*$/.exec(String(value));
+        if (m)
+            return origin + Math.round(size * Number(m[1]) / 100);
+        const n = Number(value);
+        return Number.isFinite(n) ? Math.round(n) : -1;
+    }
+
+    // A workspace or monitor index from a rule (a number or a string of
+    // digits), or -1
+    _ruleIndex(value) {
+        return /^\d+$/.test(String(value)) ? Number(value) : -1;
+    }
+
+    // Invalid workspace and monitor values are logged and skipped
+    _applyRuleActions(it, actions) {
+        const w = it.win;
+        const id = it.id;
+
+        if (actions.workspace !== undefined) {
+            const ws = actions.workspace === 'current' ? this._activeWorkspaceIndex() : this._ruleIndex(actions.workspace);
+            if (ws >= 0)
+                this._moveWindowToWorkspaceById(id, ws);
+            else
+                log(`wmctrllike: ignoring invalid rule workspace ${JSON.stringify(actions.workspace)}`);
+        }
+        if (actions.monitor !== undefined) {
+            const monitor = this._ruleIndex(actions.monitor);
+            if (monitor >= 0)
+                this._moveWindowToMonitorById(id, monitor);
+            else
+                log(`wmctrllike: ignoring invalid rule monitor ${JSON.stringify(actions.monitor)}`);
+        }
+        if (actions.place)
+            this._placeWindowById(id, actions.place);
+        if (actions.geometry && typeof actions.geometry === 'object') {
+            const g = actions.geometry;
+            const ws = w.get_workspace() || this._workspaceByIndex(this._activeWorkspaceIndex());
+            const area = ws.get_work_area_for_monitor(this._windowMonitor(w));
+            this._moveResizeWindowById(id, 0,
+                this._ruleLength(g.x, area.x, area.width),
+                this._ruleLength(g.y, area.y, area.height),
+                this._ruleLength(g.width, 0, area.width),
+                this._ruleLength(g.height, 0, area.height),
+                false);
+        }
+        if (actions.maximize === true)
+            w.maximize(Meta.MaximizeFlags.BOTH);
+        else if (actions.maximize === false && w.get_maximized())
+            w.unmaximize(Meta.MaximizeFlags.BOTH);
+        if (actions.sticky === true)
+            w.stick();
+        else if (actions.sticky === false)
+            w.unstick();
+        if (actions.above === true)
+            w.make_above();
+        else if (actions.above === false)
+            w.unmake_above();
+        if (actions.focus === true)
+            this._activateWindowById(id);
+    }
+
+    _applyRules(w) {
+        const it = this._listWindowsItems().find(item => item.win === w);
+        if (!it)
+            return;
+        for (const rule of this._matchingRules(it)) {
+            try {
+                this._applyRuleActions(it, rule.actions);
+            } catch (e) {
+                logError(e, `Failed to apply window rule ${rule.name || rule.index} to ${it.id}`);
+            }
+        }
+    }
+
+    // Class, app id and initial placement are settled by the first frame.
+    // The wait is dropped on disable() and when the window goes away first.
+    _applyRulesWhenReady(w) {
+        if (this._rules.length === 0)
+            return;
+        let actor = null;
+        try { actor = w.get_compositor_private(); } catch (e) {}
+
+        let sourceId = 0;
+        let frameId = 0;
+        let unmanagedId = 0;
+        const cancel = () => {
+            this._pending.delete(cancel);
+            if (sourceId) {
+                GLib.source_remove(sourceId);
+                sourceId = 0;
+            }
+            if (frameId) {
+                try { actor.disconnect(frameId); } catch (e) {}
+                frameId = 0;
+            }
+            if (unmanagedId) {
+                try { w.disconnect(unmanagedId); } catch (e) {}
+                unmanagedId = 0;
+            }
+        };
+        const apply = () => {
+            cancel();
+            this._applyRules(w);
+        };
+
+        if (actor) {
+            frameId = actor.connect('first-frame', apply);
+        } else {
+            sourceId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                sourceId = 0;
+                apply();
+                return GLib.SOURCE_REMOVE;
+            });
+        }
+        unmanagedId = w.connect('unmanaged', cancel);
+        this._pending.add(cancel);
+    }
+
+    _emitSignal(name, signature, values) {
+        for (const impl of [this._impl, this._impl2]) {
+            if (!impl)
+                continue;
+            try {
+                impl.emit_signal(name, new GLib.Variant(signature, values));
+            } catch (e) {
+                logError(e, `Failed to emit ${name}`);
+            }
+        }
+    }
+
+    // Per-window signal handlers; the id is cached because it may no longer
+    // be computable once the window is unmanaged.
+    _trackWindow(w) {
+        if (!w || this._windowSignals.has(w))
+            return;
+
+        const id = this._toHexId(w);
+        const xid = this._xidHex(w);
+        this._windowsById.set(id, w);
+        if (xid)
+            this._windowsByXid.set(xid, w);
+        this._indexWindow(w);
+        const update = () => this._updateIndexedWindow(w);
+        const ids = [];
+        ids.push(w.connect('unmanaged', () => {
+            if (this._isTasklistWindow(w))
+                this._emitSignal('WindowClosed', '(s)', [id]);
+            this._forgetFocus(w);
+            this._forgetUrgent(w);
+            this._untrackWindow(w);
+        }));
+        ids.push(w.connect('notify::title', () => {
+            update();
+            if (!this._isTasklistWindow(w))
+                return;
+            let title = '';
+            try { title = w.get_title() || ''; } catch (e) {}
+            this._emitSignal('TitleChanged', '(ss)', [id, title]);
+        }));
+        const onWorkspace = () => {
+            update();
+            if (this._isTasklistWindow(w))
+                this._emitSignal('WindowMovedToWorkspace', '(si)', [id, this._workspaceIndex(w)]);
+        };
+        ids.push(w.connect('workspace-changed', onWorkspace));
+        ids.push(w.connect('notify::on-all-workspaces', onWorkspace));
+        ids.push(w.connect('notify::wm-class', update));
+        // cls falls back to the Shell app id, which may only resolve later
+        ids.push(w.connect('notify::gtk-application-id', update));
+        ids.push(w.connect('notify::skip-taskbar', update));
+        ids.push(w.connect('notify::window-type', update));
+        this._windowSignals.set(w, ids);
+    }
+
+    _untrackWindow(w) {
+        const ids = this._windowSignals.get(w);
+        if (!ids)
+            return;
+        for (const map of [this._windowsById, this._windowsByXid]) {
+            for (const [key, mapped] of map) {
+                if (mapped === w)
+                    map.delete(key);
+            }
+        }
+        this._unindexWindow(w);
+        for (const handlerId of ids) {
+            try { w.disconnect(handlerId); } catch (e) {}
+        }
+        this._windowSignals.delete(w);
+    }
+
+    _connectSignals() {
+        const connect = (obj, name, cb) => {
+            if (obj)
+                this._globalSignals.push([obj, obj.connect(name, cb)]);
+        };
+
+        connect(global.display, 'window-created', (display, w) => {
+            this._trackWindow(w);
+            this._applyRulesWhenReady(w);
+            if (this._isTasklistWindow(w))
+                this._emitSignal('WindowCreated', '(s)', [this._toHexId(w)]);
+        });
+        connect(global.display, 'notify::focus-window', () => {
+            this._recordFocus();
+            this._emitSignal('FocusChanged', '(s)', [this._activeWindowId()]);
+        });
+        for (const name of ['window-demands-attention', 'window-marked-urgent'])
+            connect(global.display, name, (display, w) => this._markUrgent(w));
+        connect(global.workspace_manager || global.screen, 'active-workspace-changed', () => {
+            this._emitSignal('ActiveWorkspaceChanged', '(i)', [this._activeWorkspaceIndex()]);
+        });
+        // The tracker matching a window to its app changes the cls of windows
+        // without a WM_CLASS
+        connect(Shell.WindowTracker.get_default(), 'tracked-windows-changed', () => {
+            for (const w of this._index.keys())
+                this._updateIndexedWindow(w);
+        });
+        // Removing or reordering workspaces renumbers windows that did not move
+        for (const name of ['workspace-added', 'workspace-removed', 'workspaces-reordered']) {
+            connect(global.workspace_manager, name, () => {
+                for (const w of this._index.keys())
+                    this._updateIndexedWindow(w);
+            });
+        }
+
+        for (let actor of global.get_window_actors()) {
+            if (actor.meta_window)
+                this._trackWindow(actor.meta_window);
+        }
+        this._indexReady = true;
+        this._seedFocusHistory();
+        this._urgent = [...this._index.keys()].filter(w => this._isUrgent(w));
+    }
+
+    _disconnectSignals() {
+        for (const [obj, handlerId] of this._globalSignals) {
+            try { obj.disconnect(handlerId); } catch (e) {}
+        }
+        this._globalSignals = [];
+        this._indexReady = false;
+        for (const w of [...this._windowSignals.keys()])
+            this._untrackWindow(w);
+        this._endMruCycle();
+        this._mru = [];
+        this._urgent = [];
+    }
+
+    // WMCtrl1 methods report failure as false or a code; the exception behind
+    // it is kept so WMCtrl2 can explain the failure
+    _failed(e, value) {
+        this._lastError = e;
+        return value;
+    }
+
+    // Throw a WMCtrl2 error unless ok. An exception recorded by _failed makes
+    // it Failed with that message; otherwise kind and message are used.
+    _expect(ok, kind, message) {
+        if (ok)
+            return;
+        const e = this._lastError;
+        this._lastError = null;
+        if (e)
+            throw new WMCtrlError('Failed', `${message}: ${e.message}`);
+        throw new WMCtrlError(kind, message);
+    }
+
+    _requireSelector(selector) {
+        try {
+            this._parseSelector(selector);
+        } catch (e) {
+            throw new WMCtrlError('InvalidArgument', `Invalid selector '${selector}': ${e.message}`);
+        }
+    }
+
+    _requireWindow(id, opts = {}) {
+        if (!this._isHexId(id))
+            this._requireSelector(id);
+        const w = this._findWindowById(id, opts);
+        if (!w)
+            throw new WMCtrlError('NotFound', `No window matches '${id}'`);
+        return w;
+    }
+
+    _requireChoice(value, choices, what) {
+        if (!choices.includes(String(value)))
+            throw new WMCtrlError('InvalidArgument', `Invalid ${what} '${value}' (expected ${choices.join(', ')})`);
+    }
+
+    // Integer index in [0, limit); limit itself is accepted with allowEnd
+    _requireIndex(value, limit, what, allowEnd = false) {
+        const max = allowEnd ? limit : limit - 1;
+        if (!Number.isInteger(value) || value < 0 || value > max)
+            throw new WMCtrlError('InvalidArgument', `${what} ${value} is out of range (0-${max})`);
+    }
+
+    _requireWorkspace(index, allowEnd = false) {
+        this._requireIndex(index, this._workspaceCount(), 'Workspace index', allowEnd);
+    }
+
+    _requireStaticWorkspaces() {
+        if (this._dynamicWorkspaces())
+            throw new WMCtrlError('Unsupported', 'Workspaces are dynamic; turn off dynamic workspaces to set their number');
+    }
+
+    _returnError(invocation, error) {
+        invocation.return_dbus_error(error.name, error.message);
+    }
+
+    // Callback-style close result (0 closed, 1 no window, 2 refused) as a WMCtrl2 reply
+    _returnCloseCode(invocation, code, what) {
+        if (code === 0)
+            invocation.return_value(null);
+        else if (code === 1)
+            this._returnError(invocation, new WMCtrlError('NotFound', `No window matches '${what}'`));
+        else
+            this._returnError(invocation, new WMCtrlError('Failed', `'${what}' refused to close`));
+    }
+
+    // WMCtrl2: validate first so callers learn what was wrong, then run the
+    // WMCtrl1 implementation
+    _methodsV2() {
+        const cycle = (fn, delta) => () => {
+            this._expect(fn.call(this, delta), 'NotFound', 'No window to switch to');
+        };
+        const directions = ['left', 'right', 'up', 'down'];
+
+        const methods = {
+            ListWindows: () => this._listWindowsText(),
+            ListWindowsEx: () => this._listWindowsEx(),
+            ListWindowsOrdered: order => {
+                this._requireChoice(order, ['creation', 'mru', 'stacking'], 'order');
+                return this._listWindowsOrdered(order);
+            },
+            FindWindows: selector => {
+                this._requireSelector(selector);
+                return this._findWindowIds(selector);
+            },
+            ActivateById: id => {
+                this._requireWindow(id);
+                this._expect(this._activateWindowById(id), 'Failed', `Failed to activate ${id}`);
+            },
+            GetActiveWorkspace: () => this._activeWorkspaceIndex(),
+            GetWindowInfo: id => {
+                this._requireWindow(id, { unlisted: true });
+                return this._getWindowInfo(id);
+            },
+            GetStats: () => this._getStats(),
+            GetActiveWindow: () => {
+                const id = this._activeWindowId();
+                if (!id)
+                    throw new WMCtrlError('NotFound', 'No window has focus');
+                return id;
+            },
+            FocusNextSameAppWindow: cycle(this._focusRelativeSameAppWindow, +1),
+            FocusPrevSameAppWindow: cycle(this._focusRelativeSameAppWindow, -1),
+            FocusNextOtherAppWindow: cycle(this._focusRelativeOtherAppWindow, +1),
+            FocusPrevOtherAppWindow: cycle(this._focusRelativeOtherAppWindow, -1),
+            FocusNextAnyAppWindow: cycle(this._focusRelativeAnyAppWindow, +1),
+            FocusPrevAnyAppWindow: cycle(this._focusRelativeAnyAppWindow, -1),
+            FocusPrevious: () => {
+                this._expect(this._focusHistory(1), 'NotFound', 'No previously focused window');
+            },
+            FocusHistory: n => {
+                if (n < 1)
+                    throw new WMCtrlError('InvalidArgument', `Invalid history position ${n} (expected 1 or more)`);
+                this._expect(this._focusHistory(n), 'NotFound', `No window at position ${n} in the focus history`);
+            },
+            ListUrgentWindows: () => this._listUrgentWindows(),
+            FocusUrgent: () => {
+                this._expect(this._focusUrgent(), 'NotFound', 'No window demands attention');
+            },
+            FocusDirection: direction => {
+                this._requireChoice(direction, directions, 'direction');
+                this._expect(this._focusDirection(direction), 'NotFound', `No window ${direction} of the active window`);
+            },
+            SwapDirection: direction => {
+                this._requireChoice(direction, directions, 'direction');
+                this._expect(this._swapDirection(direction), 'NotFound', `No window ${direction} of the active window`);
+            },
+            FocusCycle: (mode, direction, options) => {
+                const opts = this._unpackOptions(options);
+                this._requireChoice(mode, ['same', 'other', 'any'], 'mode');
+                if (opts.order !== undefined)
+                    this._requireChoice(opts.order, ['creation', 'mru'], 'order');
+                this._expect(this._focusCycle(mode, direction, opts), 'NotFound', 'No window to switch to');
+            },
+            ResizeById: (id, width, height) => {
+                this._requireWindow(id);
+                if (width <= 0 || height <= 0)
+                    throw new WMCtrlError('InvalidArgument', `Invalid size ${width}x${height}`);
+                this._expect(this._resizeWindowById(id, width, height), 'Failed', `Failed to resize ${id}`);
+            },
+            MoveResizeById: (id, gravity, x, y, width, height, client) => {
+                this._requireWindow(id);
+                this._requireIndex(gravity, 11, 'Gravity');
+                if ((width !== -1 && width <= 0) || (height !== -1 && height <= 0))
+                    throw new WMCtrlError('InvalidArgument', `Invalid size ${width}x${height}`);
+                this._expect(this._moveResizeWindowById(id, gravity, x, y, width, height, client),
+                    'Failed', `Failed to move/resize ${id}`);
+            },
+            SetWindowState: (id, action, props) => {
+                const code = this._setWindowState(id, action, props);
+                const errors = {
+                    1: ['NotFound', `No window matches '${id}'`],
+                    2: ['Failed', `Failed to ${action} ${props.join(', ')} on ${id}`],
+                    3: ['Unsupported', `Mutter cannot set ${props.join(', ')}`],
+                    4: ['InvalidArgument', `Invalid state change '${action}' ${props.join(', ')}`],
+                };
+                if (code !== 0)
+                    this._expect(false, ...errors[code]);
+            },
+            MoveToWorkspaceById: (id, index) => {
+                this._requireWindow(id);
+                this._requireWorkspace(index);
+                this._expect(this._moveWindowToWorkspaceById(id, index), 'Failed', `Failed to move ${id} to workspace ${index}`);
+            },
+            SwitchWorkspace: index => {
+                this._requireWorkspace(index);
+                this._expect(this._switchWorkspace(index), 'Failed', `Failed to switch to workspace ${index}`);
+            },
+            ListWorkspaces: () => this._listWorkspaces(),
+            AppendWorkspace: () => {
+                const index = this._appendWorkspace();
+                this._expect(index >= 0, 'Failed', 'Failed to add a workspace');
+                return index;
+            },
+            InsertWorkspace: index => {
+                this._requireStaticWorkspaces();
+                this._requireWorkspace(index, true);
+                this._expect(this._insertWorkspace(index), 'Failed', `Failed to insert a workspace at ${index}`);
+            },
+            RemoveWorkspace: index => {
+                this._requireWorkspace(index);
+                if (this._workspaceCount() < 2)
+                    throw new WMCtrlError('InvalidArgument', 'Cannot remove the only workspace');
+                this._expect(this._removeWorkspace(index), 'Failed', `Failed to remove workspace ${index}`);
+            },
+            RenameWorkspace: (index, name) => {
+                this._requireWorkspace(index);
+                this._expect(this._renameWorkspace(index, name), 'Failed', `Failed to rename workspace ${index}`);
+            },
+            ReorderWorkspace: (from, to) => {
+                this._requireWorkspace(from);
+                this._requireWorkspace(to);
+                this._expect(this._reorderWorkspace(from, to), 'Failed', `Failed to move workspace ${from} to ${to}`);
+            },
+            SetWorkspaceCount: count => {
+                if (count < 1)
+                    throw new WMCtrlError('InvalidArgument', `Invalid workspace count ${count}`);
+                this._requireStaticWorkspaces();
+                this._expect(this._setWorkspaceCount(count), 'Failed', `Failed to set ${count} workspaces`);
+            },
+            ListMonitors: () => this._listMonitors(),
+            MoveToMonitorById: (id, monitor) => {
+                this._requireWindow(id);
+                this._requireIndex(monitor, global.display.get_n_monitors(), 'Monitor');
+                this._expect(this._moveWindowToMonitorById(id, monitor), 'Failed', `Failed to move ${id} to monitor ${monitor}`);
+            },
+            PlaceById: (id, preset) => {
+                this._requireWindow(id);
+                const probe = { x: 0, y: 0, width: 1000, height: 1000 };
+                if (!this._placeRect(preset, probe, probe))
+                    throw new WMCtrlError('InvalidArgument', `Unknown preset '${preset}'`);
+                this._expect(this._placeWindowById(id, preset), 'Failed', `Failed to place ${id} at ${preset}`);
+            },
+            RaiseById: id => {
+                this._requireWindow(id);
+                this._expect(this._raiseWindowById(id), 'Failed', `Failed to raise ${id}`);
+            },
+            LowerById: id => {
+                this._requireWindow(id);
+                this._expect(this._lowerWindowById(id), 'Failed', `Failed to lower ${id}`);
+            },
+            RestackById: (id, sibling, position) => {
+                const w = this._requireWindow(id);
+                if (this._requireWindow(sibling) === w)
+                    throw new WMCtrlError('InvalidArgument', `Cannot restack ${id} relative to itself`);
+                this._requireChoice(position, ['above', 'below'], 'position');
+                this._expect(this._restackWindowById(id, sibling, position), 'Failed',
+                    `Failed to restack ${id} ${position} ${sibling} (windows in different layers?)`);
+            },
+            SaveLayout: name => {
+                if (!this._layoutPath(name))
+                    throw new WMCtrlError('InvalidArgument', `Invalid layout name '${name}'`);
+                this._expect(this._saveLayout(name), 'Failed', `Failed to save layout ${name}`);
+            },
+            RestoreLayout: name => {
+                const path = this._layoutPath(name);
+                if (!path)
+                    throw new WMCtrlError('InvalidArgument', `Invalid layout name '${name}'`);
+                if (!GLib.file_test(path, GLib.FileTest.EXISTS))
+                    throw new WMCtrlError('NotFound', `No layout named '${name}'`);
+                const restored = this._restoreLayout(name);
+                this._expect(restored >= 0, 'Failed', `Failed to restore layout ${name}`);
+                return restored;
+            },
+            ReloadRules: () => {
+                const count = this._reloadRules();
+                this._expect(count >= 0, 'Failed', 'Invalid rules.json; previous rules are kept');
+                return count;
+            },
+            TestRules: id => {
+                this._requireWindow(id);
+                return this._testRules(id);
+            },
+            FocusByCls: cls => {
+                const code = this._focusByCls(cls);
+                if (code === 1)
+                    throw new WMCtrlError('NotFound', `No window of class '${cls}'`);
+                this._expect(code === 0, 'Failed', `Failed to activate a window of class '${cls}'`);
+            },
+            RunOrRaise: (cls, commandLine, options) => {
+                const code = this._runOrRaise(cls, commandLine, this._unpackOptions(options));
+                this._expect(code !== -1, 'Failed', `Failed to activate a window of class '${cls}'`);
+                this._expect(code !== -2, 'Failed', `Failed to launch ${commandLine}`);
+                return code;
+            },
+            CloseByIdAsync: ([id, force], invocation) => {
+                try {
+                    this._requireWindow(id);
+                } catch (e) {
+                    this._returnError(invocation, e);
+                    return;
+                }
+                this._closeWindowById(id, force, code => this._returnCloseCode(invocation, code, id));
+            },
+            CloseByClsAsync: ([cls, force], invocation) => {
+                this._closeWindowsByCls(cls, force, code => this._returnCloseCode(invocation, code, cls));
+            },
+            LaunchAsync: ([target, options], invocation) => {
+                this._launch(target, this._unpackOptions(options), (id, error) => {
+                    if (error)
+                        this._returnError(invocation, error);
+                    else
+                        invocation.return_value(new GLib.Variant('(s)', [id]));
+                });
+            },
+            LaunchHere: (commandLine, appId) => {
+                this._expect(this._launchHere(commandLine, appId), 'Failed', `Failed to launch ${commandLine}`);
+            },
+            Execute: (ops, options) => this._execute(ops, this._unpackOptions(options)),
+        };
+
+        // Every call starts without an exception left over from an earlier one
+        for (const [name, fn] of Object.entries(methods)) {
+            methods[name] = (...args) => {
+                this._lastError = null;
+                return fn(...args);
+            };
+        }
+        return methods;
+    }
+
+    _batchArg(op, [field, type, fallback]) {
+        let value = op[field];
+        if (value === undefined) {
+            if (fallback === undefined)
+                throw new WMCtrlError('InvalidArgument', `'${op.op}' needs '${field}'`);
+            return fallback;
+        }
+        if (type === 'as' && typeof value === 'string')
+            value = value.split(',');
+        const valid = {
+            s: typeof value === 'string',
+            i: Number.isInteger(value),
+            b: typeof value === 'boolean',
+            as: Array.isArray(value) && value.every(v => typeof v === 'string'),
+        }[type];
+        if (!valid)
+            throw new WMCtrlError('InvalidArgument', `Invalid '${field}' for '${op.op}': ${JSON.stringify(value)}`);
+        return value;
+    }
+
+    // Run a batch of operations (see BATCH_OPS) through the WMCtrl2 methods.
+    // They all run in this one main loop iteration, so the compositor only
+    // paints the end result. Each result is {index, op, ok}, plus the D-Bus
+    // error name and message of a failure; with stop-on-error the operations
+    // after a failure are not run and come back with skipped set.
+    _execute(ops, opts = {}) {
+        const stopOnError = Boolean(opts['stop-on-error']);
+        let stopped = false;
+        return ops.map((packed, index) => {
+            const op = this._unpackOptions(packed);
+            const result = { index, op: String(op.op || ''), ok: false };
+            if (stopped) {
+                result.skipped = true;
+                return this._toVardict(result);
+            }
+            try {
+                const spec = BATCH_OPS[result.op];
+                if (!spec)
+                    throw new WMCtrlError('InvalidArgument', `Unknown op '${result.op}' (expected ${Object.keys(BATCH_OPS).join(', ')})`);
+                const [method, fields] = spec;
+                this._methods2[method](...fields.map(f => this._batchArg(op, f)));
+                result.ok = true;
+            } catch (e) {
+                const error = e instanceof WMCtrlError ? e : new WMCtrlError('Failed', e.message);
+                result.error = error.name;
+                result.message = error.message;
+                stopped = stopOnError;
+            }
+            return this._toVardict(result);
+        });
+    }
+
+    // Pass callback the executable of the process behind the caller's unique
+    // bus name, or '' if unknown. Unique names are never reused, so a found
+    // executable is cached per name. Disabling the extension while the bus
+    // is asked fails the call instead.
+    _callerExecutable(invocation, callback) {
+        const sender = invocation.get_sender();
+        if (this._callers.has(sender)) {
+            callback(this._callers.get(sender));
+            return;
+        }
+        const cancellable = new Gio.Cancellable();
+        const cancel = () => {
+            this._pending.delete(cancel);
+            cancellable.cancel();
+        };
+        this._pending.add(cancel);
+        invocation.get_connection().call('org.freedesktop.DBus',
+            '/org/freedesktop/DBus', 'org.freedesktop.DBus', 'GetConnectionUnixProcessID',
+            new GLib.Variant('(s)', [sender]), new GLib.VariantType('(u)'),
+            Gio.DBusCallFlags.NONE, -1, cancellable, (connection, res) => {
+                if (cancellable.is_cancelled()) {
+                    this._returnError(invocation, new WMCtrlError('Failed', 'Extension disabled'));
+                    return;
+                }
+                this._pending.delete(cancel);
+                let exe = '';
+                try {
+                    const [pid] = connection.call_finish(res).deepUnpack();
+                    exe = GLib.file_read_link(`/proc/${pid}/exe`);
+                    this._callers.set(sender, exe);
+                } catch (e) {}
+                callback(exe);
+            });
+    }
+
+    // An entry ending in .desktop allows that desktop id; any other entry
+    // allows the command line itself and the same command with more arguments
+    _launchAllowed(entry, target) {
+        if (entry.endsWith('.desktop'))
+            return target === entry;
+        return target === entry || target.startsWith(`${entry} `);
+    }
+
+    // Why the access policy refuses method from the caller running exe, or
+    // null if it may run. The settings are read on every call so changes
+    // apply right away.
+    _accessDenial(method, args, exe) {
+        const settings = this._settings;
+        const callers = settings.get_strv('caller-allowlist');
+        if (callers.length > 0 && !callers.includes(exe))
+            return `caller ${exe || 'of unknown executable'} is not in caller-allowlist`;
+        if (QUERY_METHODS.includes(method))
+            return null;
+        if (settings.get_boolean('read-only'))
+            return 'read-only mode allows only queries';
+        if (method in LAUNCH_METHODS) {
+            const target = String(LAUNCH_METHODS[method](args)).trim();
+            if (!settings.get_boolean('launch-enabled'))
+                return 'launching is disabled';
+            const allowed = settings.get_strv('launch-allowlist');
+            if (allowed.length > 0 && !allowed.some(entry => this._launchAllowed(entry, target)))
+                return `'${target}' is not in launch-allowlist`;
+        }
+        return null;
+    }
+
+    // Put every method of an exported object behind the access policy. They
+    // all become async so the caller is known, and with a caller-allowlist
+    // they only run once the bus has told who that is; replies and errors
+    // are the ones Gio.DBusExportedObject would have sent for the original
+    // method.
+    _guarded(methods) {
+        const guarded = {};
+        for (const [key, fn] of Object.entries(methods)) {
+            const method = key.replace(/Async$/, '');
+            const dispatch = (args, invocation, exe) => {
+                const reason = this._accessDenial(method, args, exe);
+                if (reason) {
+                    log(`wmctrllike: denied ${method} from ${invocation.get_sender()}: ${reason}`);
+                    this._returnError(invocation, new WMCtrlError('AccessDenied', `${method} denied: ${reason}`));
+                    return;
+                }
+                if (key !== method) {
+                    fn(args, invocation);
+                    return;
+                }
+                let result;
+                try {
+                    result = fn(...args);
+                } catch (e) {
+                    logError(e, `wmctrllike: ${method} failed`);
+                    const name = e.name.includes('.') ? e.name : `org.gnome.gjs.JSError.${e.name}`;
+                    invocation.return_dbus_error(name, e.message);
+                    return;
+                }
+                const outArgs = invocation.get_method_info().out_args;
+                const values = outArgs.length === 0 ? [] : outArgs.length === 1 ? [result] : result;
+                invocation.return_value(new GLib.Variant(`(${outArgs.map(a => a.signature).join('')})`, values));
+            };
+            guarded[`${method}Async`] = (args, invocation) => {
+                if (this._settings.get_strv('caller-allowlist').length > 0)
+                    this._callerExecutable(invocation, exe => dispatch(args, invocation, exe));
+                else
+                    dispatch(args, invocation, '');
+            };
+        }
+        return guarded;
+    }
+
     enable() {
+        this._settings = ExtensionUtils.getSettings();
+        this._reloadRules();
+
         const nodeInfo = Gio.DBusNodeInfo.new_for_xml(IFACE_XML);
         const ifaceInfo = nodeInfo.interfaces[0];
 
-        this._impl = Gio.DBusExportedObject.wrapJSObject(ifaceInfo, {
+        const iface2Info = Gio.DBusNodeInfo.new_for_xml(IFACE2_XML).interfaces[0];
+        this._methods2 = this._methodsV2();
+        this._impl2 = Gio.DBusExportedObject.wrapJSObject(iface2Info, this._guarded(this._methods2));
+
+        this._impl = Gio.DBusExportedObject.wrapJSObject(ifaceInfo, this._guarded({
             ListWindows: () => {
                 return this._listWindowsText();
             },
+            ListWindowsOrdered: (order) => {
+                return this._listWindowsOrdered(order);
+            },
+            ListWindowsEx: () => {
+                return this._listWindowsEx();
+            },
+            FindWindows: (selector) => {
+                return this._findWindowIds(selector);
+            },
             ActivateById: (id) => {
                 return this._activateWindowById(id);
             },
             GetActiveWorkspace: () => {
                 return String(this._activeWorkspaceIndex());
             },
+            GetWindowInfo: (id) => {
+                return this._getWindowInfo(id);
+            },
+            GetStats: () => {
+                return this._getStats();
+            },
             GetActiveWindow: () => {
                 return this._activeWindowId();
             },
+            FocusPrevious: () => {
+                return this._focusHistory(1);
+            },
+            FocusHistory: (n) => {
+                return this._focusHistory(n);
+            },
+            ListUrgentWindows: () => {
+                return this._listUrgentWindows();
+            },
+            FocusUrgent: () => {
+                return this._focusUrgent();
+            },
+            FocusDirection: (direction) => {
+                return this._focusDirection(direction);
+            },
+            SwapDirection: (direction) => {
+                return this._swapDirection(direction);
+            },
+            FocusCycle: (mode, direction, options) => {
+                return this._focusCycle(mode, direction, this._unpackOptions(options));
+            },
             ResizeById: (id, width, height) => {
                 return this._resizeWindowById(id, width, height);
             },
+            MoveResizeById: (id, gravity, x, y, width, height, client) => {
+                return this._moveResizeWindowById(id, gravity, x, y, width, height, client);
+            },
+            SetWindowState: (id, action, props) => {
+                return this._setWindowState(id, action, props);
+            },
             MoveToWorkspaceById: (id, index) => {
                 return this._moveWindowToWorkspaceById(id, index);
             },
             SwitchWorkspace: (index) => {
                 return this._switchWorkspace(index);
             },
+            ListWorkspaces: () => {
+                return this._listWorkspaces();
+            },
+            AppendWorkspace: () => {
+                return this._appendWorkspace();
+            },
+            InsertWorkspace: (index) => {
+                return this._insertWorkspace(index);
+            },
+            RemoveWorkspace: (index) => {
+                return this._removeWorkspace(index);
+            },
+            RenameWorkspace: (index, name) => {
+                return this._renameWorkspace(index, name);
+            },
+            ReorderWorkspace: (from, to) => {
+                return this._reorderWorkspace(from, to);
+            },
+            SetWorkspaceCount: (count) => {
+                return this._setWorkspaceCount(count);
+            },
             FocusNextSameAppWindow: () => {
                 return this._focusNextSameAppWindow();
             },
@@ -900,13 +3924,67 @@ class WMCtrlLikeExtension {
             FocusPrevAnyAppWindow: () => {
                 return this._focusPrevAnyAppWindow();
             },
+            ListMonitors: () => {
+                return this._listMonitors();
+            },
+            MoveToMonitorById: (id, monitor) => {
+                return this._moveWindowToMonitorById(id, monitor);
+            },
+            PlaceById: (id, preset) => {
+                return this._placeWindowById(id, preset);
+            },
+            RaiseById: (id) => {
+                return this._raiseWindowById(id);
+            },
+            LowerById: (id) => {
+                return this._lowerWindowById(id);
+            },
+            RestackById: (id, sibling, position) => {
+                return this._restackWindowById(id, sibling, position);
+            },
+            SaveLayout: (name) => {
+                return this._saveLayout(name);
+            },
+            RestoreLayout: (name) => {
+                return this._restoreLayout(name);
+            },
+            ReloadRules: () => {
+                return this._reloadRules();
+            },
+            TestRules: (id) => {
+                return this._testRules(id);
+            },
             FocusByCls: (cls) => {
                 return this._focusByCls(cls);
             },
+            RunOrRaise: (cls, command_line, options) => {
+                return this._runOrRaise(cls, command_line, this._unpackOptions(options));
+            },
+            CloseByIdAsync: ([id, force], invocation) => {
+                this._closeWindowById(id, force, code => {
+                    invocation.return_value(new GLib.Variant('(i)', [code]));
+                });
+            },
+            CloseByClsAsync: ([cls, force], invocation) => {
+                this._closeWindowsByCls(cls, force, code => {
+                    invocation.return_value(new GLib.Variant('(i)', [code]));
+                });
+            },
+            LaunchAsync: ([target, options], invocation) => {
+                this._launch(target, this._unpackOptions(options), (id, error) => {
+                    if (error)
+                        invocation.return_dbus_error(error.name, error.message);
+                    else
+                        invocation.return_value(new GLib.Variant('(s)', [id]));
+                });
+            },
             LaunchHere: (command_line, appId) => {
                 return this._launchHere(command_line, appId);
             },
-        });
+            Execute: (ops, options) => {
+                return this._execute(ops, this._unpackOptions(options));
+            },
+        }));
 
         this._nameId = Gio.bus_own_name(
             Gio.BusType.SESSION,
@@ -915,6 +3993,7 @@ class WMCtrlLikeExtension {
             (connection /*, name */) => {
                 try {
                     this._impl.export(connection, '/org/gnome/Shell/Extensions/WMCtrl1');
+                    this._impl2.export(connection, '/org/gnome/Shell/Extensions/WMCtrl2');
                 } catch (e) {
                     logError(e, 'Failed to export D-Bus object');
                 }
@@ -922,13 +4001,33 @@ class WMCtrlLikeExtension {
             null,
             null
         );
+
+        this._connectSignals();
+        this._connectLayoutAutosave();
+        this._addKeybindings();
     }
 
     disable() {
+        for (const cancel of [...this._pending])
+            cancel();
+        this._autosaveLayout();
+        this._removeKeybindings();
+        this._disconnectLayoutAutosave();
+        this._disconnectSignals();
+        this._settings = null;
+        this._callers.clear();
+        this._rules = [];
+        this._wmPreferences = null;
+        this._mutterSettings = null;
         if (this._impl) {
             try { this._impl.unexport(); } catch (e) {}
             this._impl = null;
         }
+        if (this._impl2) {
+            try { this._impl2.unexport(); } catch (e) {}
+            this._impl2 = null;
+        }
+        this._methods2 = null;
         if (this._nameId) {
             try { Gio.bus_unown_name(this._nameId); } catch (e) {}
             this._nameId = 0;
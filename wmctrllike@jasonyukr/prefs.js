@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+'use strict';
+
+const { Gio, Gtk } = imports.gi;
+const ExtensionUtils = imports.misc.extensionUtils;
+
+function init() {
+}
+
+function _row(label, widget) {
+    const box = new Gtk.Box({ orientation: Gtk.Orientation.HORIZONTAL, spacing: 12 });
+    box.append(new Gtk.Label({ label, hexpand: true, halign: Gtk.Align.START }));
+    box.append(widget);
+    return box;
+}
+
+// One string of a list setting per line; the setting is written as the text
+// changes, and the extension reads it on every use, so edits apply right away
+function _listEditor(settings, key) {
+    const buffer = new Gtk.TextBuffer();
+    buffer.set_text(settings.get_strv(key).join('\n'), -1);
+
+    let syncing = false;
+    buffer.connect('changed', () => {
+        if (syncing)
+            return;
+        const [start, end] = buffer.get_bounds();
+        const lines = buffer.get_text(start, end, false).split('\n')
+            .map(l => l.trim()).filter(l => l.length > 0);
+        syncing = true;
+        settings.set_strv(key, lines);
+        syncing = false;
+    });
+    settings.connect(`changed::${key}`, () => {
+        if (syncing)
+            return;
+        syncing = true;
+        buffer.set_text(settings.get_strv(key).join('\n'), -1);
+        syncing = false;
+    });
+
+    const view = new Gtk.TextView({ buffer, monospace: true, top_margin: 6, bottom_margin: 6, left_margin: 6 });
+    return new Gtk.ScrolledWindow({ child: view, min_content_height: 120, has_frame: true, vexpand: true });
+}
+
+const SHORTCUTS = [
+    ['focus-next-same-app', 'Next window of the same app'],
+    ['focus-prev-same-app', 'Previous window of the same app'],
+    ['focus-next-other-app', 'Next window of another app'],
+    ['focus-prev-other-app', 'Previous window of another app'],
+    ['focus-next-any-app', 'Next window'],
+    ['focus-prev-any-app', 'Previous window'],
+    ['focus-previous', 'Last focused window'],
+    ['focus-left', 'Window to the left'],
+    ['focus-right', 'Window to the right'],
+    ['focus-up', 'Window above'],
+    ['focus-down', 'Window below'],
+];
+
+// Accelerator in GTK syntax (e.g. <Super>j); empty disables the shortcut.
+// Invalid text is flagged and not saved.
+function _shortcutEntry(settings, key) {
+    const entry = new Gtk.Entry({
+        text: settings.get_strv(key)[0] || '',
+        placeholder_text: 'disabled',
+        valign: Gtk.Align.CENTER,
+    });
+    entry.connect('changed', () => {
+        const text = entry.get_text().trim();
+        const [ok, keyval, mods] = Gtk.accelerator_parse(text);
+        if (text && (!ok || (keyval === 0 && mods === 0))) {
+            entry.add_css_class('error');
+            return;
+        }
+        entry.remove_css_class('error');
+        settings.set_strv(key, text ? [text] : []);
+    });
+    return entry;
+}
+
+function buildPrefsWidget() {
+    const settings = ExtensionUtils.getSettings();
+
+    const box = new Gtk.Box({
+        orientation: Gtk.Orientation.VERTICAL,
+        spacing: 12,
+        margin_top: 18,
+        margin_bottom: 18,
+        margin_start: 18,
+        margin_end: 18,
+    });
+
+    box.append(new Gtk.Label({
+        label: '<b>Focus cycling</b>',
+        use_markup: true,
+        halign: Gtk.Align.START,
+    }));
+
+    const skipMinimized = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+    settings.bind('cycle-skip-minimized', skipMinimized, 'active', Gio.SettingsBindFlags.DEFAULT);
+    box.append(_row('Skip minimized windows', skipMinimized));
+
+    const order = new Gtk.ComboBoxText({ valign: Gtk.Align.CENTER });
+    order.append('creation', 'Creation order');
+    order.append('mru', 'Most recently used');
+    settings.bind('cycle-order', order, 'active-id', Gio.SettingsBindFlags.DEFAULT);
+    box.append(_row('Cycling order', order));
+
+    box.append(new Gtk.Label({
+        label: 'Excluded windows, one selector per line (class=, title=, app=; "~" matches a substring or /regex/flags):',
+        halign: Gtk.Align.START,
+        wrap: true,
+        xalign: 0,
+    }));
+    box.append(_listEditor(settings, 'cycle-exclude'));
+
+    box.append(new Gtk.Label({
+        label: '<b>Shortcuts</b>',
+        use_markup: true,
+        halign: Gtk.Align.START,
+    }));
+    for (const [key, label] of SHORTCUTS)
+        box.append(_row(label, _shortcutEntry(settings, key)));
+
+    box.append(new Gtk.Label({
+        label: '<b>Layouts</b>',
+        use_markup: true,
+        halign: Gtk.Align.START,
+    }));
+
+    const autosave = new Gtk.Entry({ placeholder_text: 'disabled', valign: Gtk.Align.CENTER });
+    settings.bind('autosave-layout', autosave, 'text', Gio.SettingsBindFlags.DEFAULT);
+    box.append(_row('Layout saved at logout', autosave));
+
+    box.append(new Gtk.Label({
+        label: '<b>D-Bus access</b>',
+        use_markup: true,
+        halign: Gtk.Align.START,
+    }));
+
+    const readOnly = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+    settings.bind('read-only', readOnly, 'active', Gio.SettingsBindFlags.DEFAULT);
+    box.append(_row('Read-only (queries only)', readOnly));
+
+    const launch = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+    settings.bind('launch-enabled', launch, 'active', Gio.SettingsBindFlags.DEFAULT);
+    box.append(_row('Allow starting programs', launch));
+
+    box.append(new Gtk.Label({
+        label: 'Programs that may be started, one desktop id or command line per line (empty allows any):',
+        halign: Gtk.Align.START,
+        wrap: true,
+        xalign: 0,
+    }));
+    box.append(_listEditor(settings, 'launch-allowlist'));
+
+    box.append(new Gtk.Label({
+        label: 'Executables allowed to call the API, one path per line (empty allows any):',
+        halign: Gtk.Align.START,
+        wrap: true,
+        xalign: 0,
+    }));
+    box.append(_listEditor(settings, 'caller-allowlist'));
+
+    return new Gtk.ScrolledWindow({
+        child: box,
+        hscrollbar_policy: Gtk.PolicyType.NEVER,
+        min_content_height: 480,
+    });
+}